@@ -18,11 +18,11 @@ const Analytics = (function() {
   /**
    * Track a guess submission
    */
-  function trackGuess(guessNumber, category, isDaily) {
+  function trackGuess(guessNumber, category, mode) {
     trackEvent('guess_submitted', {
       guess_number: guessNumber,
       category: category,
-      mode: isDaily ? 'daily' : 'quickplay'
+      mode: mode
     });
   }
 
@@ -33,15 +33,90 @@ const Analytics = (function() {
     trackEvent('invalid_guess', { error: error });
   }
 
+  /**
+   * Track a shared puzzle link being opened (found: whether it led to a puzzle)
+   */
+  function trackPuzzleLinkOpened(puzzleId, found) {
+    trackEvent('puzzle_link_opened', {
+      puzzle_id: puzzleId,
+      found: found
+    });
+  }
+
+  /**
+   * Track a custom puzzle link being created
+   */
+  function trackPuzzleCreated(category, clueCount) {
+    trackEvent('puzzle_created', {
+      category: category,
+      clue_count: clueCount
+    });
+  }
+
+  /**
+   * Track a challenge link being sent, or opened (valid: whether its result could be read)
+   */
+  function trackChallenge(action, valid = true) {
+    trackEvent('challenge', {
+      action: action,
+      valid: valid
+    });
+  }
+
   /**
    * Track puzzle completion (win)
    */
-  function trackPuzzleCompleted(cluesRevealed, score, category, isDaily) {
+  function trackPuzzleCompleted(cluesRevealed, score, category, mode) {
     trackEvent('puzzle_completed', {
       clues_revealed: cluesRevealed,
       score: score,
       category: category,
-      mode: isDaily ? 'daily' : 'quickplay'
+      mode: mode
+    });
+  }
+
+  /**
+   * Track puzzle given up (loss)
+   */
+  function trackPuzzleGivenUp(cluesRevealed, guessCount, category, mode) {
+    trackEvent('puzzle_given_up', {
+      clues_revealed: cluesRevealed,
+      guess_count: guessCount,
+      category: category,
+      mode: mode
+    });
+  }
+
+  /**
+   * Track a letter hint bought with points
+   */
+  function trackHintUsed(hintsUsed, category, mode) {
+    trackEvent('hint_used', {
+      hints_used: hintsUsed,
+      category: category,
+      mode: mode
+    });
+  }
+
+  /**
+   * Track a finished speed run
+   */
+  function trackSpeedRunCompleted(category, seconds, solved) {
+    trackEvent('speed_run_completed', {
+      category: category,
+      seconds: seconds,
+      solved: solved
+    });
+  }
+
+  /**
+   * Track a finished gauntlet
+   */
+  function trackGauntletCompleted(category, solved, score) {
+    trackEvent('gauntlet_completed', {
+      category: category,
+      solved: solved,
+      score: score
     });
   }
 
@@ -55,17 +130,28 @@ const Analytics = (function() {
   }
 
   /**
-   * Track share button click
+   * Track share button click (format: 'text' or 'image')
    */
-  function trackShare(cluesRevealed, score) {
+  function trackShare(cluesRevealed, score, format = 'text') {
     trackEvent('results_shared', {
       clues_revealed: cluesRevealed,
-      score: score
+      score: score,
+      format: format
     });
   }
 
   /**
-   * Track mode switch (daily/quickplay)
+   * Track a settings toggle
+   */
+  function trackSettingChange(setting, value) {
+    trackEvent('setting_changed', {
+      setting: setting,
+      value: value
+    });
+  }
+
+  /**
+   * Track mode switch (daily/quickplay/archive)
    */
   function trackModeChange(mode) {
     trackEvent('mode_changed', {
@@ -73,13 +159,41 @@ const Analytics = (function() {
     });
   }
 
+  /**
+   * Track a past day picked in the archive
+   */
+  function trackArchiveDaySelect(dayNumber) {
+    trackEvent('archive_day_selected', {
+      day_number: dayNumber
+    });
+  }
+
+  /**
+   * Track player data being exported or imported
+   */
+  function trackDataTransfer(action) {
+    trackEvent('player_data', {
+      action: action
+    });
+  }
+
   return {
     trackEvent,
     trackGuess,
     trackInvalidGuess,
+    trackPuzzleLinkOpened,
+    trackPuzzleCreated,
+    trackChallenge,
     trackPuzzleCompleted,
+    trackPuzzleGivenUp,
+    trackHintUsed,
+    trackSpeedRunCompleted,
+    trackGauntletCompleted,
     trackCategorySelect,
     trackShare,
-    trackModeChange
+    trackSettingChange,
+    trackModeChange,
+    trackArchiveDaySelect,
+    trackDataTransfer
   };
 })();
@@ -6,10 +6,17 @@
 const App = (function() {
   'use strict';
 
-  let dailyPuzzles = [];
+  let dailyPuzzles = {}; // { puzzleId: puzzle } — only days up to today are fetched
+  let dailySchedule = {}; // { 'YYYY-MM-DD': puzzleId } from data/schedule.json
+  let fallbackPuzzle = null; // Built-in puzzle for a day whose file can't be loaded
   let quickPlayPuzzles = {}; // { category: [puzzles] } — lazy loaded
-  let currentMode = 'daily'; // 'daily' or 'quickplay'
+  let currentMode = 'daily'; // 'daily', 'quickplay', 'archive', or 'custom' (a custom puzzle link)
   let selectedCategory = 'random';
+  let pickRandom = Math.random; // Random source for Quick Play picks (see PuzzlePicker)
+  let pendingImport = null; // Parsed import file waiting for the player to confirm
+  // Speed run or gauntlet in progress (kept in memory, so a reload ends it):
+  // { type: 'speed' | 'gauntlet', category, difficulty, results: [{ timeMs, score, solved }], lives, finished, rank }
+  let run = null;
 
   // Map category names to data file basenames
   const CATEGORY_FILES = {
@@ -24,6 +31,9 @@ const App = (function() {
    * Initialize the application
    */
   async function initialize() {
+    // Upgrade saved data before anything reads it
+    StorageManager.migrate();
+
     // Load puzzles
     await loadPuzzles();
 
@@ -32,35 +42,165 @@ const App = (function() {
       onGuessSubmit: handleGuessSubmit,
       onModeChange: handleModeChange,
       onCategorySelect: handleCategorySelect,
-      onQuickPlayRequest: handleQuickPlayRequest
+      onQuickPlayRequest: handleQuickPlayRequest,
+      onGiveUp: handleGiveUp,
+      onRevealLetter: handleRevealLetter,
+      onSettingChange: handleSettingChange,
+      onResetPlayed: handleResetPlayed,
+      onArchiveSelect: handleArchiveSelect,
+      onExport: handleExport,
+      onImportFile: handleImportFile,
+      onImportConfirm: handleImportConfirm,
+      onSyncSend: handleSyncSend,
+      onSyncReceive: handleSyncReceive,
+      onUpdateAccept: Pwa.applyUpdate,
+      onRunAgain: handleRunAgain,
+      onCreatePuzzle: handleCreatePuzzle
     });
 
-    // Start with daily mode
-    startDailyMode();
+    // The stopwatch only runs while the game is on screen
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    // Offline support; new versions wait for the player to accept the update
+    Pwa.register(UIController.showUpdateBanner);
+
+    // Transfer codes need a sync server; locally that's `npm run sync-server`
+    if (Utils.isLocalhost()) {
+      Sync.setBackend(Sync.createHttpBackend());
+    }
+    UIController.setSyncAvailable(Sync.isAvailable());
+
+    // Start with daily mode, or the puzzle a shared link points to
+    const customCode = getCustomPuzzleCode();
+    const linkedId = getLinkedPuzzleId();
+    const challengeCode = getChallengeCode();
+    if (customCode) {
+      clearPuzzleLink();
+      const puzzle = CustomPuzzle.decode(customCode);
+      Analytics.trackPuzzleLinkOpened('custom', !!puzzle);
+      if (puzzle) {
+        startCustomMode(puzzle);
+        if (challengeCode) acceptChallenge(challengeCode);
+      } else {
+        await startDailyMode();
+        UIController.showError('That custom puzzle link is incomplete or damaged');
+      }
+    } else if (!linkedId) {
+      startDailyMode();
+    } else {
+      clearPuzzleLink();
+      const found = await startLinkedPuzzle(linkedId);
+      Analytics.trackPuzzleLinkOpened(linkedId, found);
+      if (!found) {
+        await startDailyMode();
+        UIController.showError("That puzzle link doesn't lead to a puzzle (yet)");
+      } else if (challengeCode) {
+        acceptChallenge(challengeCode);
+      }
+    }
 
     // Preload all categories in background so switching is instant
     loadAllCategories();
 
-    // Set up debug commands
-    setupDebug();
+    // Debug commands print answers, so they're only set up in development
+    if (Utils.isLocalhost()) {
+      setupDebug();
+    }
   }
 
   /**
-   * Load daily puzzles at startup
+   * Load the schedule and today's daily puzzle at startup
+   * Offline they come from the service worker cache (sw.js); the built-in
+   * puzzles are a last resort
    */
   async function loadPuzzles() {
+    await loadSchedule();
+
+    if (!await loadDailyPuzzle(Utils.getDateString())) {
+      fallbackPuzzle = getDefaultPuzzles().dailyPuzzles[0];
+    }
+  }
+
+  /**
+   * Load the dated daily schedule, continued past its last day by the
+   * rotation (data/encoded/rotation.json)
+   */
+  async function loadSchedule() {
+    try {
+      const response = await fetch(`data/schedule.json?v=${Utils.APP_VERSION}`);
+      const schedule = await response.json();
+      dailySchedule = schedule.days || {};
+      console.log(`Loaded schedule with ${Object.keys(dailySchedule).length} days`);
+    } catch (error) {
+      console.error('Failed to load daily schedule:', error);
+      dailySchedule = {};
+    }
+
+    try {
+      const response = await fetch(`data/encoded/rotation.json?v=${Utils.APP_VERSION}`);
+      extendSchedule(await response.json());
+    } catch (error) {
+      console.error('Failed to load daily rotation:', error);
+    }
+  }
+
+  /**
+   * Fill the days from the end of the schedule to today from the rotation,
+   * picked the way Reddit's getTodaysPuzzle picks (daily.json order), so
+   * dailies keep coming if the schedule runs out
+   */
+  function extendSchedule(rotation) {
+    const dates = Object.keys(dailySchedule).sort();
+    if (dates.length === 0 || rotation.length === 0) return;
+
+    const today = Utils.getDateString();
+    for (let date = DayClock.addDays(dates[dates.length - 1], 1); date <= today; date = DayClock.addDays(date, 1)) {
+      dailySchedule[date] = rotation[DayClock.getPuzzleIndexForKey(rotation.length, date)];
+    }
+  }
+
+  /**
+   * Fetch one day's daily puzzle (cached in memory by puzzle id)
+   * Each day is its own file, built by scripts/build-puzzle-data.cjs, and
+   * the server refuses days that haven't started (netlify/edge-functions/)
+   */
+  async function loadDailyPuzzle(dateKey) {
+    const puzzleId = dailySchedule[dateKey];
+    if (dailyPuzzles[puzzleId]) return dailyPuzzles[puzzleId];
     try {
-      const response = await fetch(`data/daily.json?v=${Utils.APP_VERSION}`);
-      dailyPuzzles = await response.json();
-      console.log(`Loaded ${dailyPuzzles.length} daily puzzles`);
+      const response = await fetch(`data/encoded/days/${dateKey}.json?v=${Utils.APP_VERSION}`);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const puzzle = await response.json();
+      dailyPuzzles[puzzle.id] = puzzle;
+      dailySchedule[dateKey] = puzzle.id; // The day file has the final say
+      return puzzle;
     } catch (error) {
-      console.error('Failed to load daily puzzles:', error);
-      const defaults = getDefaultPuzzles();
-      dailyPuzzles = defaults.dailyPuzzles;
-      quickPlayPuzzles = defaults.quickPlayPuzzles;
+      console.error(`Failed to load daily puzzle for ${dateKey}:`, error);
+      return null;
     }
   }
 
+  /**
+   * Fetch every past daily (the latest day each puzzle ran) for quick play
+   * and the archive
+   */
+  async function loadPastDailies() {
+    const today = Utils.getDateString();
+    const latestDates = {};
+    Object.keys(dailySchedule)
+      .filter(date => date < today)
+      .forEach(date => { latestDates[dailySchedule[date]] = date; });
+
+    await Promise.all(Object.values(latestDates).map(loadDailyPuzzle));
+  }
+
+  /**
+   * Get the daily puzzle for a date key, if it has been loaded
+   */
+  function getDailyPuzzle(dateKey = Utils.getDateString()) {
+    return dailyPuzzles[dailySchedule[dateKey]] || null;
+  }
+
   /**
    * Lazy-load a quick play category (fetches once, caches in memory)
    */
@@ -69,7 +209,7 @@ const App = (function() {
     const basename = CATEGORY_FILES[category];
     if (!basename) return [];
     try {
-      const response = await fetch(`data/${basename}.json?v=${Utils.APP_VERSION}`);
+      const response = await fetch(`data/encoded/${basename}.json?v=${Utils.APP_VERSION}`);
       const puzzles = await response.json();
       quickPlayPuzzles[category] = puzzles;
       console.log(`Loaded ${puzzles.length} ${category} puzzles`);
@@ -81,10 +221,29 @@ const App = (function() {
   }
 
   /**
-   * Load all quick play categories (for random mode)
+   * Load a category's list of valid answers (for guess validation)
+   */
+  async function loadWordList(category) {
+    if (WordList.hasList(category)) return;
+    const basename = CATEGORY_FILES[category];
+    if (!basename) return;
+    try {
+      const response = await fetch(`data/categories/${basename}.json?v=${Utils.APP_VERSION}`);
+      WordList.setWords(category, await response.json());
+    } catch (error) {
+      console.error(`Failed to load ${category} word list:`, error);
+    }
+  }
+
+  /**
+   * Load all quick play categories (for random mode) and their word lists
    */
   async function loadAllCategories() {
-    await Promise.all(Object.keys(CATEGORY_FILES).map(loadCategory));
+    const categories = Object.keys(CATEGORY_FILES);
+    await Promise.all([
+      ...categories.map(loadCategory),
+      ...categories.map(loadWordList)
+    ]);
   }
 
   /**
@@ -139,26 +298,30 @@ const App = (function() {
   /**
    * Start daily mode
    */
-  function startDailyMode() {
+  async function startDailyMode() {
+    endRun();
     currentMode = 'daily';
     UIController.setActiveMode('daily');
 
-    // Get today's puzzle from daily pool
-    const puzzleIndex = Utils.getDailyPuzzleIndex(dailyPuzzles.length);
-    const puzzle = dailyPuzzles[puzzleIndex];
+    // Get today's puzzle from the schedule (fetched now if the day rolled over)
+    const puzzle = await loadDailyPuzzle(Utils.getDateString()) || fallbackPuzzle;
+    if (!puzzle) {
+      UIController.showError('Failed to load puzzle');
+      return;
+    }
 
     // Check for saved state
     const savedState = StorageManager.getDailyState();
     const isValidState = savedState && savedState.date === Utils.getDateString();
 
     // Initialize game state
-    const state = GameState.initialize(puzzle, isValidState ? savedState : null, true);
+    const state = GameState.initialize(puzzle, isValidState ? savedState : null, 'daily');
 
     // Render game
     UIController.renderGame(puzzle, state);
 
-    // If already completed today, show results
-    if (state.status === 'won') {
+    // If already completed (won or given up) today, show results
+    if (state.status !== 'in-progress') {
       setTimeout(() => {
         UIController.showResultsModal(puzzle, {
           cluesRevealed: state.cluesRevealed,
@@ -170,112 +333,412 @@ const App = (function() {
 
   /**
    * Get past daily puzzles (days that have already passed)
-   * These are unlocked for quick play
+   * These are unlocked for quick play once loadPastDailies() has run
    */
   function getPastDailyPuzzles() {
-    const todayIndex = Utils.getDailyPuzzleIndex(dailyPuzzles.length);
-    // All puzzles before today's index are past dailies
-    // Handle wrap-around: if we've cycled, all puzzles are available
-    const daysSinceLaunch = Utils.daysBetween(Utils.LAUNCH_DATE, Utils.getTodayMidnight());
-
-    if (daysSinceLaunch >= dailyPuzzles.length) {
-      // We've gone through all puzzles at least once, all past ones available
-      return dailyPuzzles.filter((_, index) => index !== todayIndex);
-    } else {
-      // Only puzzles before today's index
-      return dailyPuzzles.slice(0, todayIndex);
-    }
+    const today = Utils.getDateString();
+
+    // Everything scheduled before today, except a repeat of today's puzzle
+    const pastIds = new Set(
+      Object.keys(dailySchedule)
+        .filter(date => date < today)
+        .map(date => dailySchedule[date])
+    );
+    pastIds.delete(dailySchedule[today]);
+
+    return Array.from(pastIds, id => dailyPuzzles[id]).filter(Boolean);
   }
 
   /**
    * Start quick play mode
+   * difficulty: only puzzles rated this (Utils.DIFFICULTIES), or null for any
    */
-  async function startQuickPlayMode(category = 'random') {
+  async function startQuickPlayMode(category = 'random', difficulty = null) {
     currentMode = 'quickplay';
     selectedCategory = category;
     UIController.setActiveMode('quickplay');
 
-    // Lazy-load the needed category (or all for random)
+    // Lazy-load the needed category (or all for random), plus past dailies
     if (category === 'random') {
-      await loadAllCategories();
+      await Promise.all([loadAllCategories(), loadPastDailies()]);
     } else {
-      await loadCategory(category);
+      await Promise.all([loadCategory(category), loadPastDailies()]);
     }
 
-    // Build puzzle pool: quick play puzzles + past dailies (unlocked after their day passed)
-    let available = [];
-    const playedIds = StorageManager.getPlayedPuzzles() || [];
+    // Pools by category: quick play puzzles + past dailies (unlocked after their day passed)
+    const pools = {};
+    const categories = category === 'random' ? Object.keys(CATEGORY_FILES) : [category];
     const pastDailies = getPastDailyPuzzles();
+    categories.forEach(name => {
+      pools[name] = [
+        ...(quickPlayPuzzles[name] || []),
+        ...pastDailies.filter(p => p.category === name)
+      ];
+    });
 
-    if (category === 'random') {
-      // All quick play puzzles from all categories
-      Object.values(quickPlayPuzzles).forEach(categoryPuzzles => {
-        if (Array.isArray(categoryPuzzles)) {
-          available.push(...categoryPuzzles);
-        }
-      });
-      // Add past dailies (unlocked after their day)
-      available.push(...pastDailies);
-    } else {
-      // Quick play puzzles from selected category
-      const categoryPuzzles = quickPlayPuzzles[category];
-      if (Array.isArray(categoryPuzzles)) {
-        available = [...categoryPuzzles];
-      }
-      // Add past dailies from this category
-      const pastDailiesInCategory = pastDailies.filter(p => p.category === category);
-      available.push(...pastDailiesInCategory);
+    // Unplayed first, categories evenly in random mode, never the same puzzle twice running
+    const current = GameState.getPuzzle();
+    const puzzle = PuzzlePicker.pick(pools, StorageManager.getPlayedPuzzles(), {
+      exclude: current ? current.id : null,
+      difficulty,
+      random: pickRandom
+    });
+
+    if (!puzzle) {
+      UIController.showError(difficulty
+        ? `No ${difficulty} puzzles available in this category`
+        : 'No puzzles available in this category');
+      return;
     }
 
-    // Exclude already played puzzles (prefer unplayed)
-    const unplayed = available.filter(p => !playedIds.includes(p.id));
-    const puzzlePool = unplayed.length > 0 ? unplayed : available;
+    playQuickPlayPuzzle(puzzle);
+  }
 
-    if (!puzzlePool || puzzlePool.length === 0) {
-      UIController.showError('No puzzles available in this category');
+  /**
+   * Start a quick play game on a puzzle
+   */
+  function playQuickPlayPuzzle(puzzle) {
+    // Initialize new game state (no saved state for quick play)
+    const state = GameState.initialize(puzzle, null, 'quickplay');
+
+    // Speed run puzzles are always timed
+    if (run && run.type === 'speed') {
+      GameState.setTimed(true);
+    }
+
+    // Render game
+    UIController.renderGame(puzzle, state);
+  }
+
+  /**
+   * Puzzle id from a shared link: /p/<puzzle-id> or ?p=<puzzle-id>
+   */
+  function getLinkedPuzzleId() {
+    const match = window.location.pathname.match(/^\/p\/([^/]+)\/?$/);
+    if (match) return decodeURIComponent(match[1]);
+    return new URLSearchParams(window.location.search).get('p');
+  }
+
+  /**
+   * Code from a custom puzzle link: /#c=<code> (see CustomPuzzle)
+   */
+  function getCustomPuzzleCode() {
+    const match = window.location.hash.match(/^#c=([\w-]+)$/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Friend's result from a challenge link: ?vs=<code> (see Challenge)
+   */
+  function getChallengeCode() {
+    return new URLSearchParams(window.location.search).get('vs');
+  }
+
+  /**
+   * Compare the puzzle just opened with the friend's result once it's over
+   */
+  function acceptChallenge(code) {
+    const opponent = Challenge.decode(code);
+    Analytics.trackChallenge('opened', !!opponent);
+    if (opponent) {
+      UIController.setChallenge({ puzzleId: GameState.getPuzzle().id, ...opponent });
+    }
+  }
+
+  /**
+   * Drop the puzzle from the address bar, so reloading goes back to the daily
+   */
+  function clearPuzzleLink() {
+    const url = new URL(window.location.href);
+    url.pathname = '/';
+    url.searchParams.delete('p');
+    url.searchParams.delete('vs');
+    url.hash = '';
+    window.history.replaceState(null, '', url);
+  }
+
+  /**
+   * Open the puzzle a shared link points to
+   * - Dailies open on the latest day they ran: today's in daily mode, older
+   *   ones in the archive. Days that haven't started never open, so links
+   *   can't leak upcoming puzzles
+   * - Quick play puzzles open in quick play
+   * Returns false if there's no such puzzle (or it isn't out yet)
+   */
+  async function startLinkedPuzzle(puzzleId) {
+    const today = Utils.getDateString();
+    const date = Object.keys(dailySchedule)
+      .filter(day => day <= today && dailySchedule[day] === puzzleId)
+      .sort()
+      .pop();
+
+    if (date === today) {
+      await startDailyMode();
+      return true;
+    }
+    if (date) {
+      if (!await loadDailyPuzzle(date)) return false;
+      startArchiveMode(date);
+      return true;
+    }
+
+    await loadAllCategories();
+    const puzzle = Object.values(quickPlayPuzzles).flat().find(p => p.id === puzzleId);
+    if (!puzzle) return false;
+
+    endRun();
+    currentMode = 'quickplay';
+    selectedCategory = puzzle.category;
+    UIController.setActiveMode('quickplay');
+    playQuickPlayPuzzle(puzzle);
+    return true;
+  }
+
+  /**
+   * Play a puzzle from a custom puzzle link
+   * It has its own save slot, so opening the link again picks up where it was left
+   */
+  function startCustomMode(puzzle) {
+    endRun();
+    currentMode = 'custom';
+    UIController.setActiveMode('custom');
+
+    const state = GameState.initialize(puzzle, StorageManager.getCustomState(), 'custom');
+
+    UIController.renderGame(puzzle, state);
+
+    if (state.status !== 'in-progress') {
+      setTimeout(() => {
+        UIController.showResultsModal(puzzle, {
+          cluesRevealed: state.cluesRevealed,
+          score: state.score
+        });
+      }, 500);
+    }
+  }
+
+  /**
+   * Turn the create form into a custom puzzle link, or say what's missing
+   */
+  function handleCreatePuzzle(fields) {
+    const result = CustomPuzzle.validate(fields);
+    if (!result.success) {
+      UIController.showCreateError(result.error);
       return;
     }
 
-    // Pick a random puzzle
-    const puzzle = Utils.getRandomItem(puzzlePool);
+    const code = CustomPuzzle.encode(result.puzzle);
+    Analytics.trackPuzzleCreated(result.puzzle.category, result.puzzle.clues.length);
+    UIController.showCreatedLink(`${window.location.origin}/#c=${code}`);
+  }
+
+  /**
+   * List every daily from launch through today for the archive calendar
+   * Each entry: { date, dayNumber, puzzleId, category, result, isToday }
+   */
+  function getArchiveDays() {
+    const today = Utils.getDateString();
+    const results = StorageManager.getDailyResults();
+    const days = [];
+
+    for (let dayNumber = 1; dayNumber <= Utils.getDayNumber(); dayNumber++) {
+      const date = DayClock.getDayKeyForNumber(dayNumber);
+      const puzzle = getDailyPuzzle(date);
+      if (!puzzle) continue; // Unscheduled, or offline and never fetched
+      days.push({
+        date,
+        dayNumber,
+        puzzleId: puzzle.id,
+        category: puzzle.category,
+        result: results[date] || null,
+        isToday: date === today
+      });
+    }
+
+    return days;
+  }
+
+  /**
+   * Start archive mode - replay a past day's daily puzzle
+   * Results are logged for that day but never touch the live streak
+   */
+  function startArchiveMode(date) {
+    endRun();
+    currentMode = 'archive';
+    UIController.setActiveMode('archive');
 
+    const puzzle = getDailyPuzzle(date);
     if (!puzzle) {
       UIController.showError('Failed to load puzzle');
       return;
     }
 
-    // Initialize new game state (no saved state for quick play)
-    const state = GameState.initialize(puzzle, null, false);
+    // Resume an unfinished game for the same day
+    const savedState = StorageManager.getArchiveState();
+    const isValidState = savedState && savedState.date === date;
+
+    const state = GameState.initialize(puzzle, isValidState ? savedState : null, 'archive', date);
 
-    // Render game
     UIController.renderGame(puzzle, state);
+
+    if (state.status !== 'in-progress') {
+      setTimeout(() => {
+        UIController.showResultsModal(puzzle, {
+          cluesRevealed: state.cluesRevealed,
+          score: state.score
+        });
+      }, 500);
+    }
   }
 
   /**
    * Handle mode change
    */
-  function handleModeChange(mode) {
+  async function handleModeChange(mode) {
     Analytics.trackModeChange(mode);
     if (mode === 'daily') {
       startDailyMode();
     } else if (mode === 'quickplay') {
       UIController.showCategorySelector();
+    } else if (mode === 'archive') {
+      await loadPastDailies();
+      UIController.showArchive(getArchiveDays());
+    } else if (mode === 'create') {
+      UIController.showCreatePuzzle();
+    }
+  }
+
+  /**
+   * Handle a day picked in the archive calendar
+   */
+  function handleArchiveSelect(date) {
+    Analytics.trackArchiveDaySelect(DayClock.getDayNumberForKey(date));
+    if (date === Utils.getDateString()) {
+      startDailyMode();
+    } else {
+      startArchiveMode(date);
     }
   }
 
   /**
    * Handle category selection
+   * runType: null for one puzzle, or 'speed' / 'gauntlet' to start a run
+   * difficulty: null for any, or one of Utils.DIFFICULTIES (kept for a whole run)
    */
-  async function handleCategorySelect(category) {
+  async function handleCategorySelect(category, runType = null, difficulty = null) {
     Analytics.trackCategorySelect(category);
-    await startQuickPlayMode(category);
+    endRun();
+    if (runType === 'speed' || runType === 'gauntlet') {
+      run = { type: runType, category, difficulty, results: [], lives: Utils.GAUNTLET.LIVES, finished: false, rank: 0 };
+      UIController.setRunProgress(getRunProgress());
+    }
+    await startQuickPlayMode(category, difficulty);
   }
 
   /**
    * Handle quick play request (from results modal)
+   * During a run this moves on to the next puzzle, or the run's results
    */
   function handleQuickPlayRequest() {
-    UIController.showCategorySelector();
+    if (!run) {
+      UIController.showCategorySelector();
+    } else if (run.finished) {
+      const bests = run.type === 'speed'
+        ? StorageManager.getSpeedRunBests(run.category)
+        : StorageManager.getGauntletBests(run.category);
+      UIController.showRunSummary(getRunProgress(), bests, run.rank);
+    } else {
+      startQuickPlayMode(run.category, run.difficulty);
+    }
+  }
+
+  /**
+   * Start another run of the same kind in the same category
+   */
+  function handleRunAgain() {
+    if (run) {
+      handleCategorySelect(run.category, run.type, run.difficulty);
+    }
+  }
+
+  /**
+   * Sum up the run so far (the shape UIController.setRunProgress takes)
+   */
+  function getRunProgress() {
+    const sum = field => run.results.reduce((total, result) => total + result[field], 0);
+    return {
+      type: run.type,
+      category: run.category,
+      puzzle: run.results.length,
+      total: Utils.SPEED_RUN.PUZZLES,
+      timeMs: sum('timeMs'),
+      score: sum('score'),
+      solved: run.results.filter(result => result.solved).length,
+      lives: run.lives,
+      finished: run.finished
+    };
+  }
+
+  /**
+   * Add a finished puzzle to the run, saving the run once it's over
+   * - Speed runs end after SPEED_RUN.PUZZLES; giving up adds
+   *   SPEED_RUN.GIVE_UP_PENALTY_SECONDS to that puzzle's time
+   * - Gauntlets end with the first puzzle lost
+   */
+  function recordRunPuzzle() {
+    if (!run || run.finished) return;
+
+    const state = GameState.getState();
+    const solved = state.status === 'won';
+    const penaltyMs = run.type === 'speed' && !solved ? Utils.SPEED_RUN.GIVE_UP_PENALTY_SECONDS * 1000 : 0;
+    run.results.push({ timeMs: GameState.getElapsedMs() + penaltyMs, score: state.score, solved });
+
+    run.finished = run.type === 'speed' ? run.results.length >= Utils.SPEED_RUN.PUZZLES : !solved;
+    const progress = getRunProgress();
+    if (run.finished && run.type === 'speed') {
+      run.rank = StorageManager.addSpeedRunResult(run.category, {
+        timeMs: progress.timeMs,
+        score: progress.score,
+        solved: progress.solved
+      });
+      Analytics.trackSpeedRunCompleted(run.category, Math.round(progress.timeMs / 1000), progress.solved);
+    } else if (run.finished) {
+      run.rank = StorageManager.addGauntletResult(run.category, { solved: progress.solved, score: progress.score });
+      Analytics.trackGauntletCompleted(run.category, progress.solved, progress.score);
+    }
+
+    UIController.setRunProgress(progress);
+  }
+
+  /**
+   * Take a life for a wrong guess in a gauntlet
+   * Returns true if that was the last one
+   */
+  function loseGauntletLife() {
+    if (!run || run.type !== 'gauntlet' || run.finished) return false;
+    run.lives -= 1;
+    UIController.setRunProgress(getRunProgress());
+    return run.lives <= 0;
+  }
+
+  /**
+   * Drop any run in progress (another mode or a new run was picked)
+   */
+  function endRun() {
+    run = null;
+    UIController.setRunProgress(null);
+  }
+
+  /**
+   * Pause the game's clock while the tab is hidden
+   */
+  function handleVisibilityChange() {
+    if (document.visibilityState === 'hidden') {
+      GameState.pauseTimer();
+    } else {
+      GameState.resumeTimer();
+    }
+    UIController.updateTimer();
   }
 
   /**
@@ -291,23 +754,172 @@ const App = (function() {
     }
 
     const puzzle = GameState.getPuzzle();
-    const isDaily = currentMode === 'daily';
 
     // Track the guess
-    Analytics.trackGuess(result.guessNumber || GameState.getState().guesses.length, puzzle.category, isDaily);
+    Analytics.trackGuess(result.guessNumber || GameState.getState().guesses.length, puzzle.category, currentMode);
 
     // Track completion
-    if (result.correct) {
-      Analytics.trackPuzzleCompleted(result.cluesRevealed, result.score, puzzle.category, isDaily);
+    if (result.isCorrect) {
+      Analytics.trackPuzzleCompleted(result.cluesRevealed, result.score, puzzle.category, currentMode);
+      recordRunPuzzle();
     }
 
     UIController.updateAfterGuess(result, puzzle);
+
+    // Out of lives: the gauntlet's puzzle is lost, which ends the run
+    if (!result.isCorrect && loseGauntletLife()) {
+      handleGiveUp();
+    }
+  }
+
+  /**
+   * Handle a letter hint bought with points
+   */
+  function handleRevealLetter() {
+    const result = GameState.revealLetter();
+
+    if (!result.success) {
+      UIController.showError(result.error);
+      return;
+    }
+
+    Analytics.trackHintUsed(result.hintsUsed, GameState.getPuzzle().category, currentMode);
+    UIController.updateAfterHint(result, GameState.getPuzzle());
+  }
+
+  /**
+   * Handle give up — reveal the answer and record a loss
+   */
+  function handleGiveUp() {
+    const result = GameState.giveUp();
+
+    if (!result.success) {
+      UIController.showError(result.error);
+      return;
+    }
+
+    const puzzle = GameState.getPuzzle();
+
+    Analytics.trackPuzzleGivenUp(result.cluesRevealed, GameState.getState().guesses.length, puzzle.category, currentMode);
+    recordRunPuzzle();
+
+    UIController.updateAfterGiveUp(result, puzzle);
+  }
+
+  /**
+   * Handle a settings toggle
+   */
+  function handleSettingChange(key, value) {
+    const settings = StorageManager.getSettings();
+    settings[key] = value;
+    StorageManager.saveSettings(settings);
+    Analytics.trackSettingChange(key, value);
+
+    // Hard mode can't be switched on mid-game
+    if (key === 'hardMode' && !GameState.setHardMode(value) && value) {
+      UIController.showSettingsNote('Hard mode will apply from your next puzzle');
+    }
+    // Speed run puzzles stay timed whatever the setting
+    if (key === 'timed' && !(run && run.type === 'speed') && !GameState.setTimed(value) && value) {
+      UIController.showSettingsNote('Timed mode will apply from your next puzzle');
+    }
+    UIController.updateHintButton();
+    UIController.updateTimer();
+  }
+
+  /**
+   * Forget played Quick Play puzzles so every one comes up as new again
+   */
+  function handleResetPlayed() {
+    StorageManager.clearPlayedPuzzles();
+    Analytics.trackSettingChange('resetPlayed', true);
+    UIController.showSettingsNote('Played puzzles reset — Quick Play starts fresh');
+  }
+
+  /**
+   * Download all player data as a file
+   */
+  function handleExport() {
+    const file = PlayerData.createExport();
+    UIController.downloadFile(PlayerData.getFileName(file), JSON.stringify(file, null, 2));
+    Analytics.trackDataTransfer('export');
+  }
+
+  /**
+   * Check a chosen import file and preview what merging it would change
+   */
+  function handleImportFile(text) {
+    previewImport(PlayerData.parse(text));
+  }
+
+  /**
+   * Hold on to parsed player data and preview merging it, or show why it can't be used
+   * result: from PlayerData.parse
+   */
+  function previewImport(result) {
+    if (!result.success) {
+      pendingImport = null;
+      UIController.showDataNote(result.error);
+      return;
+    }
+
+    pendingImport = result.data;
+    UIController.showImportPreview(StorageManager.mergeData(result.data, { dryRun: true }), result.exportedAt);
+  }
+
+  /**
+   * Upload this browser's progress and show the transfer code
+   */
+  async function handleSyncSend() {
+    const result = await Sync.sendProgress();
+    if (!result.success) {
+      UIController.showSyncCode(null);
+      UIController.showDataNote(result.error);
+      return;
+    }
+
+    UIController.showSyncCode(result.code, result.expiresAt);
+    Analytics.trackDataTransfer('sync_send');
+  }
+
+  /**
+   * Fetch progress from another device by code and preview merging it
+   */
+  async function handleSyncReceive(code) {
+    previewImport(await Sync.receiveProgress(code));
+  }
+
+  /**
+   * Merge the previewed import file into this browser's data
+   */
+  function handleImportConfirm() {
+    if (!pendingImport) return;
+
+    StorageManager.mergeData(pendingImport);
+    pendingImport = null;
+    Analytics.trackDataTransfer('import');
+
+    UIController.updateStatsDisplay();
+    UIController.showDataNote('Import complete');
+  }
+
+  /**
+   * Get a puzzle's answer (debug only; puzzle data ships encoded)
+   */
+  function answerOf(puzzle) {
+    return AnswerCodec.decodePuzzle(puzzle).word;
   }
 
   /**
    * Set up debug commands
    */
   function setupDebug() {
+    // Repeatable Quick Play picks with ?seed=N
+    const seed = new URLSearchParams(window.location.search).get('seed');
+    if (seed !== null) {
+      pickRandom = PuzzlePicker.createRandom(Number(seed));
+    }
+
     window.debug = {
       // Show current puzzle and state
       current: () => {
@@ -315,34 +927,45 @@ const App = (function() {
         console.log('State:', GameState.getState());
       },
 
-      // List all daily puzzles
+      // List the daily puzzles loaded so far (today's, plus past ones once needed)
       listDaily: () => {
         console.log('--- Daily Puzzles ---');
-        dailyPuzzles.forEach((p, i) => console.log(i, p.id, p.word, p.category));
+        Object.values(dailyPuzzles).forEach((p, i) => console.log(i, p.id, answerOf(p), p.category));
       },
 
       // List quick play puzzles (optionally by category)
       listQuickPlay: (category) => {
         if (category) {
           console.log(`--- ${category} ---`);
-          (quickPlayPuzzles[category] || []).forEach((p, i) => console.log(i, p.id, p.word));
+          (quickPlayPuzzles[category] || []).forEach((p, i) => console.log(i, p.id, answerOf(p)));
         } else {
           Object.keys(quickPlayPuzzles).forEach(cat => {
             console.log(`--- ${cat} ---`);
-            quickPlayPuzzles[cat].forEach((p, i) => console.log(i, p.id, p.word));
+            quickPlayPuzzles[cat].forEach((p, i) => console.log(i, p.id, answerOf(p)));
           });
         }
       },
 
-      // Jump to a specific daily puzzle
+      // Show the upcoming daily schedule (the dev server serves future days)
+      listSchedule: async (days = 7) => {
+        console.log('--- Daily Schedule ---');
+        const today = Utils.getDateString();
+        for (let i = 0; i < days; i++) {
+          const date = DayClock.addDays(today, i);
+          const puzzle = await loadDailyPuzzle(date);
+          console.log(date, puzzle ? puzzle.id : '(not scheduled)', puzzle ? answerOf(puzzle) : '');
+        }
+      },
+
+      // Jump to a specific daily puzzle (index from debug.listDaily())
       jumpDaily: (index) => {
-        const puzzle = dailyPuzzles[index];
+        const puzzle = Object.values(dailyPuzzles)[index];
         if (puzzle) {
           currentMode = 'daily';
           UIController.setActiveMode('daily');
-          GameState.initialize(puzzle, null, true);
+          GameState.initialize(puzzle, null, 'daily');
           UIController.renderGame(puzzle, GameState.getState());
-          console.log('Jumped to daily:', puzzle.word);
+          console.log('Jumped to daily:', answerOf(puzzle));
         } else {
           console.log('Invalid index. Use debug.listDaily() to see options.');
         }
@@ -354,25 +977,31 @@ const App = (function() {
         if (puzzles && puzzles[index]) {
           currentMode = 'quickplay';
           UIController.setActiveMode('quickplay');
-          GameState.initialize(puzzles[index], null, false);
+          GameState.initialize(puzzles[index], null, 'quickplay');
           UIController.renderGame(puzzles[index], GameState.getState());
-          console.log('Jumped to:', puzzles[index].word);
+          console.log('Jumped to:', answerOf(puzzles[index]));
         } else {
           console.log('Invalid. Use debug.listQuickPlay() to see options.');
         }
       },
 
+      // Seed Quick Play picks (no seed: back to Math.random)
+      seed: (value) => {
+        pickRandom = value === undefined ? Math.random : PuzzlePicker.createRandom(value);
+        console.log(value === undefined ? 'Quick Play picks are random' : `Quick Play picks seeded with ${value}`);
+      },
+
       // Reveal current answer
       reveal: () => {
         const puzzle = GameState.getPuzzle();
-        if (puzzle) console.log('Answer:', puzzle.word);
+        if (puzzle) console.log('Answer:', answerOf(puzzle));
       },
 
       // Auto-solve current puzzle (for testing)
       solve: () => {
         const puzzle = GameState.getPuzzle();
-        if (puzzle && GameState.getState().status !== 'won') {
-          const result = GameState.submitGuess(puzzle.word);
+        if (puzzle && !GameState.isFinished()) {
+          const result = GameState.submitGuess(AnswerCodec.normalize(answerOf(puzzle)));
           UIController.updateAfterGuess(result, puzzle);
           console.log('Solved! Score:', result.score);
         } else {
@@ -384,7 +1013,13 @@ const App = (function() {
       wrongGuess: () => {
         const puzzle = GameState.getPuzzle();
         if (puzzle) {
-          const fakeGuess = 'X'.repeat(puzzle.word.replace(/[\s-]/g, '').length);
+          // Prefer a known word of the same length so word check accepts it
+          const target = AnswerCodec.normalize(answerOf(puzzle));
+          const guessed = GameState.getState().guesses;
+          const knownWord = (quickPlayPuzzles[puzzle.category] || [])
+            .map(p => AnswerCodec.normalize(answerOf(p)))
+            .find(w => w.length === target.length && w !== target && !guessed.includes(w));
+          const fakeGuess = knownWord || 'X'.repeat(target.length);
           const result = GameState.submitGuess(fakeGuess);
           if (result.success) {
             UIController.updateAfterGuess(result, puzzle);
@@ -397,11 +1032,19 @@ const App = (function() {
 
       // Show all stats
       stats: () => {
-        console.log('Stats:', StorageManager.getStats());
+        ['daily', 'quickplay', 'archive', 'custom'].forEach(mode => {
+          console.log(`Stats (${mode}):`, StorageManager.getStats(mode));
+        });
         console.log('Past Dailies (unlocked for quick play):', getPastDailyPuzzles().map(p => p.id));
         console.log('Played Quick Play:', StorageManager.getPlayedPuzzles());
       },
 
+      // Show the play history (optionally filtered, e.g. { mode: 'daily' })
+      history: (filters) => {
+        console.table(StorageManager.getHistory(filters));
+        console.log('Streak:', StorageManager.getStreakInfo());
+      },
+
       // Clear all data and reload
       reset: () => {
         StorageManager.clearAll();
@@ -414,13 +1057,16 @@ const App = (function() {
 Debug Commands:
   debug.current()              - Show current puzzle & state
   debug.listDaily()            - List all daily puzzles
+  debug.listSchedule(days?)    - Show upcoming daily schedule
   debug.listQuickPlay(cat?)    - List quick play puzzles
   debug.jumpDaily(index)       - Jump to daily puzzle
   debug.jumpQuickPlay(cat, i)  - Jump to quick play puzzle
+  debug.seed(n?)               - Seed Quick Play picks (or ?seed=n)
   debug.reveal()               - Show current answer
   debug.solve()                - Auto-solve current puzzle
   debug.wrongGuess()           - Submit a wrong guess
   debug.stats()                - Show all statistics
+  debug.history(filters?)      - Show play history
   debug.reset()                - Clear data & reload
         `);
       }
@@ -436,6 +1082,7 @@ Debug Commands:
   return {
     initialize,
     startDailyMode,
+    startArchiveMode,
     startQuickPlayMode
   };
 })();
@@ -0,0 +1,107 @@
+/**
+ * CluesWord - Challenge Module
+ * Head-to-head challenges: a link to a puzzle plus how the sender did (web only)
+ *
+ * The sender's result rides along as ?vs=<code> on the puzzle link (see
+ * App.initialize). The code is a dot-separated summary: solved or not, score,
+ * clues used out of the puzzle's clues, hints, seconds (timed games only) and
+ * one row of letter results per guess, the same information as the emoji
+ * share grid. Guesses themselves are left out, since the last one is the answer.
+ *
+ * Summary shape (summarize/decode): { solved, score, cluesRevealed, totalClues,
+ * hintsUsed, seconds, rows: [['correct', 'wrongPosition', 'wrong', ...], ...] }
+ */
+
+const Challenge = (function() {
+  'use strict';
+
+  const FORMAT_VERSION = '1';
+
+  // Letter results as digits in a row
+  const STATUS_DIGITS = { wrong: '0', wrongPosition: '1', correct: '2' };
+  const DIGIT_STATUSES = { 0: 'wrong', 1: 'wrongPosition', 2: 'correct' };
+
+  /**
+   * Summarize a finished game (puzzle encoded or decoded)
+   * elapsedMs: GameState.getElapsedMs(), only kept for timed games
+   */
+  function summarize(puzzle, state, elapsedMs = null) {
+    const target = AnswerCodec.isEncoded(puzzle) ? puzzle : puzzle.word;
+    return {
+      solved: state.status === 'won',
+      score: state.score,
+      cluesRevealed: state.cluesRevealed,
+      totalClues: puzzle.clues.length,
+      hintsUsed: state.hints.length,
+      seconds: state.timed && elapsedMs !== null ? Math.round(elapsedMs / 1000) : null,
+      rows: state.guesses.map(guess => GameState.evaluateGuess(guess, target).map(e => e.status))
+    };
+  }
+
+  /**
+   * Turn a summary into a code for a challenge link
+   */
+  function encode(summary) {
+    return [
+      FORMAT_VERSION,
+      summary.solved ? 'w' : 'l',
+      summary.score,
+      summary.cluesRevealed,
+      summary.totalClues,
+      summary.hintsUsed,
+      summary.seconds === null ? '' : summary.seconds,
+      summary.rows.map(row => row.map(status => STATUS_DIGITS[status] || '0').join('')).join('_')
+    ].join('.');
+  }
+
+  /**
+   * Read a challenge code back into a summary, or null if it's damaged
+   */
+  function decode(code) {
+    const fields = String(code || '').split('.');
+    if (fields.length !== 8 || fields[0] !== FORMAT_VERSION || !['w', 'l'].includes(fields[1])) {
+      return null;
+    }
+
+    const [score, cluesRevealed, totalClues, hintsUsed] = fields.slice(2, 6).map(Number);
+    const counts = [score, cluesRevealed, totalClues, hintsUsed];
+    if (counts.some(n => !Number.isInteger(n) || n < 0) ||
+        totalClues < Utils.MIN_CLUES || totalClues > Utils.MAX_CLUES ||
+        cluesRevealed < 1 || cluesRevealed > totalClues) {
+      return null;
+    }
+
+    const seconds = fields[6] === '' ? null : Number(fields[6]);
+    if (seconds !== null && (!Number.isInteger(seconds) || seconds < 0)) return null;
+
+    const rows = fields[7] === '' ? [] : fields[7].split('_');
+    if (rows.some(row => !/^[012]+$/.test(row))) return null;
+
+    return {
+      solved: fields[1] === 'w',
+      score,
+      cluesRevealed,
+      totalClues,
+      hintsUsed,
+      seconds,
+      rows: rows.map(row => row.split('').map(digit => DIGIT_STATUSES[digit]))
+    };
+  }
+
+  /**
+   * Compare two summaries: 1 if the first did better, -1 if worse, 0 for a tie
+   * Solving beats giving up, then the higher score wins
+   */
+  function compare(a, b) {
+    if (a.solved !== b.solved) return a.solved ? 1 : -1;
+    return Math.sign(a.score - b.score);
+  }
+
+  // Public API
+  return {
+    summarize,
+    encode,
+    decode,
+    compare
+  };
+})();
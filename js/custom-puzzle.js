@@ -0,0 +1,145 @@
+/**
+ * CluesWord - Custom Puzzle Module
+ * Puzzles players write themselves, shared as a link (web only)
+ *
+ * The whole puzzle travels in the link's fragment (/#c=<code>), so nothing
+ * is stored on a server and the fragment never reaches one. The code is the
+ * puzzle's fields plus a short checksum (so a link cut off when pasted is
+ * caught) as UTF-8, XORed with a fixed keystream and base64url encoded:
+ * short enough to paste, and the answer can't be read off the link.
+ * Like AnswerCodec, this is spoiler protection, not encryption.
+ *
+ * Validation follows scripts/validate-puzzles.cjs (word, category, factoid,
+ * Utils.MIN_CLUES to Utils.MAX_CLUES non-empty clues), plus the game's own
+ * rule that answers are letters, spaces and hyphens.
+ */
+
+const CustomPuzzle = (function() {
+  'use strict';
+
+  // Bumped if the code layout changes, so old links can still be read
+  const FORMAT_VERSION = '1';
+
+  // Fields are joined with the ASCII unit separator (never typed in a form)
+  const SEPARATOR = '\u001f';
+
+  // Built-in categories go in the code as their index
+  const CATEGORIES = [...Utils.CATEGORIES, 'Other'];
+
+  const MIN_LETTERS = 2;
+
+  // Hex digits of Utils.hashString kept as the checksum
+  const CHECKSUM_LENGTH = 4;
+
+  function checksum(text) {
+    return Utils.hashString(text).slice(-CHECKSUM_LENGTH);
+  }
+
+  /**
+   * Key byte for one position of a code
+   */
+  function keyAt(index) {
+    return parseInt(Utils.hashString(`custom|${index}`).slice(-2), 16);
+  }
+
+  function xorBytes(bytes) {
+    return bytes.map((byte, i) => byte ^ keyAt(i));
+  }
+
+  function toBase64Url(bytes) {
+    const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+  }
+
+  /**
+   * One line of text, trimmed, with runs of whitespace collapsed
+   */
+  function clean(value) {
+    return String(value || '').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Check the fields of a new puzzle
+   * fields: { word, category, clues: [...], factoid }; blank clues are skipped
+   * Returns { success: true, puzzle } or { success: false, error }
+   */
+  function validate(fields) {
+    const word = clean(fields.word).toUpperCase();
+    const category = clean(fields.category);
+    const clues = (fields.clues || []).map(clean).filter(Boolean);
+    const factoid = clean(fields.factoid);
+
+    if (!word) {
+      return { success: false, error: 'Enter the answer' };
+    }
+    if (!/^[A-Z\s-]+$/.test(word)) {
+      return { success: false, error: 'The answer can only contain letters, spaces and hyphens' };
+    }
+    if (AnswerCodec.normalize(word).length < MIN_LETTERS) {
+      return { success: false, error: `The answer needs at least ${MIN_LETTERS} letters` };
+    }
+    if (!CATEGORIES.includes(category)) {
+      return { success: false, error: 'Pick a category' };
+    }
+    if (clues.length < Utils.MIN_CLUES) {
+      return { success: false, error: `Write at least ${Utils.MIN_CLUES} clues` };
+    }
+    if (clues.length > Utils.MAX_CLUES) {
+      return { success: false, error: `Puzzles can have at most ${Utils.MAX_CLUES} clues` };
+    }
+    if (!factoid) {
+      return { success: false, error: 'Add a fun fact for after the puzzle' };
+    }
+
+    return { success: true, puzzle: { category, word, clues, factoid } };
+  }
+
+  /**
+   * Turn a validated puzzle into a link code
+   */
+  function encode(puzzle) {
+    const fields = [FORMAT_VERSION, puzzle.word, String(CATEGORIES.indexOf(puzzle.category)), puzzle.factoid, ...puzzle.clues];
+    const body = fields.join(SEPARATOR);
+    return toBase64Url(xorBytes(Array.from(new TextEncoder().encode(body + SEPARATOR + checksum(body)))));
+  }
+
+  /**
+   * Read a link code back into a playable puzzle
+   * The id comes from the code, so the same link is the same puzzle
+   * Returns null if the code is damaged or doesn't make a valid puzzle
+   */
+  function decode(code) {
+    let text;
+    try {
+      const bytes = Uint8Array.from(xorBytes(Array.from(fromBase64Url(code))));
+      text = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch (error) {
+      return null;
+    }
+
+    const split = text.lastIndexOf(SEPARATOR);
+    const body = text.slice(0, split);
+    if (split < 0 || text.slice(split + 1) !== checksum(body)) return null;
+
+    const [version, word, categoryIndex, factoid, ...clues] = body.split(SEPARATOR);
+    if (version !== FORMAT_VERSION) return null;
+
+    const result = validate({ word, category: CATEGORIES[Number(categoryIndex)], clues, factoid });
+    if (!result.success) return null;
+
+    return { id: `custom-${Utils.hashString(code)}`, ...result.puzzle, code };
+  }
+
+  // Public API
+  return {
+    CATEGORIES,
+    validate,
+    encode,
+    decode
+  };
+})();
@@ -6,9 +6,10 @@
 const GameState = (function() {
   'use strict';
 
-  let currentPuzzle = null;
+  let currentPuzzle = null; // What getPuzzle() shows: answer hidden until the game ends
+  let encodedPuzzle = null; // Guesses are always checked against this (see AnswerCodec)
   let currentState = null;
-  let isDaily = true;
+  let mode = 'daily'; // 'daily', 'quickplay', 'archive' (a past daily), or 'custom' (Reddit post or custom puzzle link)
 
   /**
    * Create initial game state for a puzzle
@@ -22,32 +23,61 @@ const GameState = (function() {
       correctPositions: [],
       wrongPositionLetters: new Set(),
       status: 'in-progress',
-      score: 0
+      score: 0,
+      hardMode: !!StorageManager.getSettings().hardMode,
+      hints: [], // Letters bought with revealLetter(): [{ position, afterGuesses }]
+      timed: !!StorageManager.getSettings().timed,
+      timeBonus: 0,
+      // Stopwatch: time while paused (tab hidden, another game open) is left out
+      startedAt: Date.now(),
+      finishedAt: null,
+      pausedAt: null,
+      pausedMs: 0
     };
   }
 
   /**
    * Initialize game with a puzzle
+   * Archive games pass the past day they belong to as `date`
    */
-  function initialize(puzzle, savedState = null, daily = true) {
-    currentPuzzle = puzzle;
-    isDaily = daily;
+  function initialize(puzzle, savedState = null, gameMode = 'daily', date = null) {
+    // A game left unfinished keeps its time until it's resumed
+    pauseTimer();
 
-    if (savedState && savedState.puzzleId === puzzle.id) {
+    // Plain puzzles (built-in fallbacks, Reddit custom posts) are encoded too
+    encodedPuzzle = AnswerCodec.isEncoded(puzzle) ? puzzle : AnswerCodec.encodePuzzle(puzzle);
+    currentPuzzle = encodedPuzzle;
+    mode = gameMode;
+
+    const restored = StorageSchema.normalizeGameState(savedState);
+
+    if (restored && restored.puzzleId === puzzle.id) {
       // Restore saved state
       currentState = {
-        ...savedState,
-        wrongPositionLetters: new Set(savedState.wrongPositionLetters || [])
+        ...restored,
+        wrongPositionLetters: new Set(restored.wrongPositionLetters)
       };
+      resumeTimer();
     } else {
       // New game
-      currentState = createInitialState(puzzle, daily ? Utils.getDateString() : null);
+      currentState = createInitialState(puzzle, date);
       saveState();
     }
 
+    if (currentState.status !== 'in-progress') {
+      revealAnswer();
+    }
+
     return currentState;
   }
 
+  /**
+   * Decode the answer and factoid once the game is over
+   */
+  function revealAnswer() {
+    currentPuzzle = AnswerCodec.decodePuzzle(encodedPuzzle);
+  }
+
   /**
    * Get current state
    */
@@ -62,6 +92,13 @@ const GameState = (function() {
     return currentPuzzle;
   }
 
+  /**
+   * Get how many clues the current puzzle has
+   */
+  function getClueCount() {
+    return currentPuzzle ? currentPuzzle.clues.length : Utils.DEFAULT_CLUES;
+  }
+
   /**
    * Save current state to storage
    */
@@ -74,28 +111,43 @@ const GameState = (function() {
       wrongPositionLetters: Array.from(currentState.wrongPositionLetters)
     };
 
-    if (isDaily) {
-      StorageManager.saveDailyState(stateToSave);
-    } else {
+    if (mode === 'quickplay') {
       StorageManager.saveQuickPlayState(stateToSave);
+    } else if (mode === 'archive') {
+      StorageManager.saveArchiveState(stateToSave);
+    } else if (mode === 'custom') {
+      StorageManager.saveCustomState(stateToSave);
+    } else {
+      StorageManager.saveDailyState(stateToSave);
     }
   }
 
   /**
-   * Evaluate a guess against the target word
+   * Evaluate a guess against the target
+   * target is a plain word, or an encoded puzzle, which is checked without decoding it
    * Returns array of { letter, status, position }
    */
   function evaluateGuess(guess, target) {
+    let length;
+    let hasLetterAt;
+    if (typeof target === 'string') {
+      const targetLetters = AnswerCodec.normalize(target);
+      length = targetLetters.length;
+      hasLetterAt = (letter, i) => targetLetters[i] === letter;
+    } else {
+      length = AnswerCodec.getLength(target);
+      hasLetterAt = (letter, i) => AnswerCodec.hasLetterAt(target, letter, i);
+    }
+
     const result = [];
-    const targetLetters = target.toUpperCase().replace(/[\s-]/g, '').split('');
     const guessLetters = guess.toUpperCase().split('');
-    const targetCopy = [...targetLetters];
+    const consumed = new Array(length).fill(false);
 
     // First pass: mark correct positions (exact matches)
     guessLetters.forEach((letter, i) => {
-      if (letter === targetCopy[i]) {
+      if (i < length && hasLetterAt(letter, i)) {
         result[i] = { letter, status: 'correct', position: i };
-        targetCopy[i] = null; // Consume the letter
+        consumed[i] = true;
       }
     });
 
@@ -103,10 +155,10 @@ const GameState = (function() {
     guessLetters.forEach((letter, i) => {
       if (result[i]) return; // Already marked correct
 
-      const targetIndex = targetCopy.indexOf(letter);
+      const targetIndex = consumed.findIndex((used, j) => !used && hasLetterAt(letter, j));
       if (targetIndex !== -1) {
         result[i] = { letter, status: 'wrongPosition', position: i };
-        targetCopy[targetIndex] = null; // Consume
+        consumed[targetIndex] = true;
       } else {
         result[i] = { letter, status: 'wrong', position: i };
       }
@@ -115,6 +167,106 @@ const GameState = (function() {
     return result;
   }
 
+  /**
+   * Stop the clock while the game isn't on screen
+   */
+  function pauseTimer() {
+    if (!currentState || currentState.status !== 'in-progress' || currentState.pausedAt !== null) return;
+    currentState.pausedAt = Date.now();
+    saveState();
+  }
+
+  /**
+   * Restart the clock, leaving the paused time out
+   */
+  function resumeTimer() {
+    if (!currentState || currentState.pausedAt === null) return;
+    currentState.pausedMs += Date.now() - currentState.pausedAt;
+    currentState.pausedAt = null;
+    saveState();
+  }
+
+  /**
+   * Stop the clock for good once the game ends
+   */
+  function stopTimer() {
+    if (currentState.pausedAt !== null) resumeTimer();
+    currentState.finishedAt = Date.now();
+  }
+
+  /**
+   * Get how long the current game has been played, in milliseconds
+   * null for games saved before they were timed
+   */
+  function getElapsedMs() {
+    if (!currentState || currentState.startedAt === null) return null;
+    if (currentState.status !== 'in-progress' && currentState.finishedAt === null) return null;
+
+    const end = currentState.finishedAt || currentState.pausedAt || Date.now();
+    return Math.max(0, end - currentState.startedAt - currentState.pausedMs);
+  }
+
+  /**
+   * Turn timed mode (time bonus) on/off for the current game
+   * Can only be switched on before the first guess; returns whether it applied
+   */
+  function setTimed(enabled) {
+    if (!currentState || currentState.status !== 'in-progress') return false;
+    if (enabled && currentState.guesses.length > 0) return false;
+
+    currentState.timed = enabled;
+    saveState();
+    return true;
+  }
+
+  /**
+   * Check if the current game is timed
+   */
+  function isTimed() {
+    return !!currentState && !!currentState.timed;
+  }
+
+  /**
+   * Check a guess against hard mode rules
+   * Returns an error message, or null if the guess is allowed
+   */
+  function checkHardModeGuess(guess) {
+    const positions = [...currentState.correctPositions].sort((a, b) => a - b);
+    for (const pos of positions) {
+      if (!AnswerCodec.hasLetterAt(encodedPuzzle, guess[pos], pos)) {
+        return `Hard mode: ${Utils.getOrdinal(pos + 1)} letter must be ${AnswerCodec.letterAt(encodedPuzzle, pos)}`;
+      }
+    }
+
+    for (const letter of currentState.wrongPositionLetters) {
+      if (!guess.includes(letter)) {
+        return `Hard mode: guess must contain ${letter}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Turn hard mode on/off for the current game
+   * Can only be switched on before the first guess; returns whether it applied
+   */
+  function setHardMode(enabled) {
+    if (!currentState || currentState.status !== 'in-progress') return false;
+    if (enabled && (currentState.guesses.length > 0 || currentState.hints.length > 0)) return false;
+
+    currentState.hardMode = enabled;
+    saveState();
+    return true;
+  }
+
+  /**
+   * Check if the current game is in hard mode
+   */
+  function isHardMode() {
+    return !!currentState && !!currentState.hardMode;
+  }
+
   /**
    * Submit a guess and update game state
    */
@@ -123,18 +275,18 @@ const GameState = (function() {
       return { success: false, error: 'Game not initialized' };
     }
 
-    if (currentState.status === 'won') {
+    if (currentState.status !== 'in-progress') {
       return { success: false, error: 'Game already completed' };
     }
 
     const normalizedGuess = guess.toUpperCase().trim();
-    const targetWord = currentPuzzle.word.toUpperCase().replace(/[\s-]/g, '');
+    const targetLength = AnswerCodec.getLength(encodedPuzzle);
 
     // Validate guess length
-    if (normalizedGuess.length !== targetWord.length) {
+    if (normalizedGuess.length !== targetLength) {
       return {
         success: false,
-        error: `Guess must be ${targetWord.length} letters`
+        error: `Guess must be ${targetLength} letters`
       };
     }
 
@@ -143,37 +295,59 @@ const GameState = (function() {
       return { success: false, error: 'Already guessed' };
     }
 
-    // Evaluate the guess
-    const evaluation = evaluateGuess(normalizedGuess, targetWord);
-    currentState.guesses.push(normalizedGuess);
+    // Evaluate the guess against the encoded answer
+    const evaluation = evaluateGuess(normalizedGuess, encodedPuzzle);
+    const isCorrect = evaluation.every(item => item.status === 'correct');
 
-    // Check for correct guess
-    const isCorrect = normalizedGuess === targetWord;
+    // Word check: guess must be a known answer in this category
+    if (StorageManager.getSettings().validateGuesses &&
+        !isCorrect &&
+        !WordList.isValid(currentPuzzle.category, normalizedGuess)) {
+      return {
+        success: false,
+        error: `Not a known ${WordList.getCategoryNoun(currentPuzzle.category)}`
+      };
+    }
+
+    // Hard mode: guess must reuse everything revealed so far
+    if (currentState.hardMode) {
+      const hardModeError = checkHardModeGuess(normalizedGuess);
+      if (hardModeError) {
+        return { success: false, error: hardModeError };
+      }
+    }
+
+    currentState.guesses.push(normalizedGuess);
 
     if (isCorrect) {
       // Player won!
       currentState.status = 'won';
-      currentState.score = Utils.calculateScore(currentState.cluesRevealed, currentState.guesses.length);
+      stopTimer();
+      if (currentState.timed) {
+        currentState.timeBonus = Utils.calculateTimeBonus(Math.round(getElapsedMs() / 1000));
+      }
+      currentState.score = Utils.calculateScore(
+        currentState.cluesRevealed,
+        currentState.guesses.length,
+        getClueCount(),
+        currentState.hints.length
+      ) + currentState.timeBonus;
 
       // Update all positions as correct
-      currentState.correctPositions = targetWord.split('').map((_, i) => i);
+      currentState.correctPositions = evaluation.map((_, i) => i);
+      revealAnswer();
 
-      // Update statistics
+      // Update statistics for this mode
       StorageManager.updateStats(
         currentState.cluesRevealed,
         currentState.score,
         currentPuzzle.category,
-        true
+        true,
+        currentState.hardMode,
+        mode
       );
 
-      // Track completed/played puzzles
-      if (isDaily) {
-        // Daily completed - unlock for quick play
-        StorageManager.addCompletedDaily(currentPuzzle.id);
-      } else {
-        // Quick play - track as played
-        StorageManager.addPlayedPuzzle(currentPuzzle.id);
-      }
+      markPuzzleFinished();
     } else {
       // Wrong guess - update state
       evaluation.forEach((item, index) => {
@@ -186,7 +360,7 @@ const GameState = (function() {
       });
 
       // Reveal next clue if available
-      if (currentState.cluesRevealed < Utils.MAX_CLUES) {
+      if (currentState.cluesRevealed < getClueCount()) {
         currentState.cluesRevealed += 1;
       }
     }
@@ -205,17 +379,148 @@ const GameState = (function() {
     };
   }
 
+  /**
+   * Positions not yet shown on the board
+   */
+  function getHiddenPositions() {
+    return Array.from({ length: AnswerCodec.getLength(encodedPuzzle) }, (_, i) => i)
+      .filter(i => !currentState.correctPositions.includes(i));
+  }
+
+  /**
+   * Check if a letter hint can be bought right now
+   * Not in hard mode, and the last hidden letter always has to be guessed
+   */
+  function canRevealLetter() {
+    return !!currentState &&
+      currentState.status === 'in-progress' &&
+      !currentState.hardMode &&
+      getHiddenPositions().length > 1;
+  }
+
+  /**
+   * Spend points to reveal a letter (the leftmost one still hidden)
+   * The cost (Utils.HINT_COST each) comes off the score when the puzzle is solved
+   */
+  function revealLetter() {
+    if (!currentPuzzle || !currentState) {
+      return { success: false, error: 'Game not initialized' };
+    }
+
+    if (currentState.status !== 'in-progress') {
+      return { success: false, error: 'Game already completed' };
+    }
+
+    if (currentState.hardMode) {
+      return { success: false, error: 'Letter hints are off in hard mode' };
+    }
+
+    const hidden = getHiddenPositions();
+    if (hidden.length <= 1) {
+      return { success: false, error: 'The last letter is up to you' };
+    }
+
+    const position = hidden[0];
+    currentState.correctPositions.push(position);
+    currentState.hints.push({ position, afterGuesses: currentState.guesses.length });
+    saveState();
+
+    return {
+      success: true,
+      position,
+      hintsUsed: currentState.hints.length,
+      correctPositions: currentState.correctPositions
+    };
+  }
+
+  /**
+   * Give up on the current puzzle - reveals the word and records a loss
+   */
+  function giveUp() {
+    if (!currentPuzzle || !currentState) {
+      return { success: false, error: 'Game not initialized' };
+    }
+
+    if (currentState.status !== 'in-progress') {
+      return { success: false, error: 'Game already completed' };
+    }
+
+    currentState.status = 'lost';
+    currentState.score = 0;
+    stopTimer();
+    currentState.correctPositions = Array.from({ length: AnswerCodec.getLength(encodedPuzzle) }, (_, i) => i);
+    revealAnswer();
+
+    // A loss counts as played (and breaks the streak for a live daily)
+    StorageManager.updateStats(
+      currentState.cluesRevealed,
+      0,
+      currentPuzzle.category,
+      false,
+      currentState.hardMode,
+      mode
+    );
+
+    markPuzzleFinished();
+    saveState();
+
+    return {
+      success: true,
+      isCorrect: false,
+      cluesRevealed: currentState.cluesRevealed,
+      correctPositions: currentState.correctPositions,
+      wrongPositionLetters: Array.from(currentState.wrongPositionLetters),
+      score: currentState.score,
+      status: currentState.status
+    };
+  }
+
+  /**
+   * Track completed/played puzzles and log the game once it ends (won or lost)
+   */
+  function markPuzzleFinished() {
+    StorageManager.addHistoryEntry({
+      puzzleId: currentPuzzle.id,
+      mode,
+      date: currentState.date,
+      category: currentPuzzle.category,
+      status: currentState.status,
+      guesses: [...currentState.guesses],
+      cluesRevealed: currentState.cluesRevealed,
+      totalClues: getClueCount(),
+      hintsUsed: currentState.hints.length,
+      score: currentState.score,
+      hardMode: !!currentState.hardMode,
+      timed: !!currentState.timed,
+      duration: currentState.startedAt !== null ? Math.round(getElapsedMs() / 1000) : null
+    });
+
+    if (mode === 'quickplay') {
+      // Quick play - track as played
+      StorageManager.addPlayedPuzzle(currentPuzzle.id);
+    } else if (mode !== 'custom') {
+      // Daily completed (today's or an archive day) - unlock for quick play
+      StorageManager.addCompletedDaily(currentPuzzle.id);
+    }
+  }
+
+  /**
+   * Check if the current game has ended (won or given up)
+   */
+  function isFinished() {
+    return !!currentState && currentState.status !== 'in-progress';
+  }
+
   /**
    * Get letters that should be shown as revealed in boxes
    */
   function getRevealedLetters() {
     if (!currentPuzzle || !currentState) return {};
 
-    const targetWord = currentPuzzle.word.toUpperCase().replace(/[\s-]/g, '');
     const revealed = {};
 
     currentState.correctPositions.forEach(pos => {
-      revealed[pos] = targetWord[pos];
+      revealed[pos] = AnswerCodec.letterAt(encodedPuzzle, pos);
     });
 
     return revealed;
@@ -227,12 +532,15 @@ const GameState = (function() {
   function getWrongPositionLettersToShow() {
     if (!currentPuzzle || !currentState) return [];
 
-    const targetWord = currentPuzzle.word.toUpperCase().replace(/[\s-]/g, '');
     const revealedLetters = Object.values(getRevealedLetters());
+    const length = AnswerCodec.getLength(encodedPuzzle);
 
     return Array.from(currentState.wrongPositionLetters).filter(letter => {
       const revealedCount = Utils.countOccurrences(revealedLetters.join(''), letter);
-      const totalCount = Utils.countOccurrences(targetWord, letter);
+      let totalCount = 0;
+      for (let i = 0; i < length; i++) {
+        if (AnswerCodec.hasLetterAt(encodedPuzzle, letter, i)) totalCount++;
+      }
       return revealedCount < totalCount;
     });
   }
@@ -242,8 +550,9 @@ const GameState = (function() {
    */
   function reset() {
     currentPuzzle = null;
+    encodedPuzzle = null;
     currentState = null;
-    if (!isDaily) {
+    if (mode === 'quickplay') {
       StorageManager.clearQuickPlayState();
     }
   }
@@ -254,7 +563,7 @@ const GameState = (function() {
   function isDailyCompleted() {
     const state = StorageManager.getDailyState();
     if (!state) return false;
-    return state.date === Utils.getDateString() && state.status === 'won';
+    return state.date === Utils.getDateString() && state.status !== 'in-progress';
   }
 
   // Public API
@@ -262,9 +571,21 @@ const GameState = (function() {
     initialize,
     getState,
     getPuzzle,
+    getClueCount,
     saveState,
     evaluateGuess,
     submitGuess,
+    canRevealLetter,
+    revealLetter,
+    giveUp,
+    isFinished,
+    setHardMode,
+    isHardMode,
+    setTimed,
+    isTimed,
+    pauseTimer,
+    resumeTimer,
+    getElapsedMs,
     getRevealedLetters,
     getWrongPositionLettersToShow,
     reset,
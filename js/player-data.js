@@ -0,0 +1,102 @@
+/**
+ * CluesWord - Player Data Module
+ * Export files for moving progress between browsers
+ *
+ * A file holds StorageManager.exportData() plus the storage schema version
+ * it was written at and a signature over both, so damaged files are refused.
+ * The signature is a plain hash anyone can recompute, so play history is also
+ * checked entry by entry. Files from older versions are migrated before merging.
+ */
+
+const PlayerData = (function() {
+  'use strict';
+
+  const FORMAT = 'cluesword-export';
+
+  /**
+   * Signature over everything in the file except itself
+   */
+  function sign(file) {
+    return Utils.hashString(`${file.format}|${file.schemaVersion}|${file.exportedAt}|${JSON.stringify(file.data)}`);
+  }
+
+  /**
+   * Build an export file from this browser's data
+   */
+  function createExport() {
+    const file = {
+      format: FORMAT,
+      schemaVersion: StorageSchema.VERSION,
+      appVersion: Utils.APP_VERSION,
+      exportedAt: new Date().toISOString(),
+      data: StorageManager.exportData()
+    };
+    file.signature = sign(file);
+    return file;
+  }
+
+  /**
+   * Get the download name for an export file
+   */
+  function getFileName(file) {
+    return `cluesword-${file.exportedAt.split('T')[0]}.json`;
+  }
+
+  /**
+   * Read the text of an export file
+   * Returns { success, data, exportedAt } with data at the current schema, or { success, error }
+   */
+  function parse(text) {
+    let file;
+    try {
+      file = JSON.parse(text);
+    } catch (e) {
+      return { success: false, error: 'Not a CluesWord export file' };
+    }
+
+    if (!file || file.format !== FORMAT || !file.data || typeof file.data !== 'object') {
+      return { success: false, error: 'Not a CluesWord export file' };
+    }
+    if (file.signature !== sign(file)) {
+      return { success: false, error: 'This file has been changed or damaged' };
+    }
+    if (!Number.isInteger(file.schemaVersion) || file.schemaVersion > StorageSchema.VERSION) {
+      return { success: false, error: 'This file is from a newer version of CluesWord. Reload and try again.' };
+    }
+
+    const data = {};
+    for (const [key, value] of Object.entries(file.data)) {
+      if (!StorageSchema.isValidValue(key, value)) {
+        return { success: false, error: 'This file has been changed or damaged' };
+      }
+      data[key] = value;
+    }
+
+    // Bring older files up to the current schema, as if they'd been stored here
+    data[Utils.STORAGE_KEYS.SCHEMA_VERSION] = file.schemaVersion;
+    StorageSchema.migrate({
+      get: key => (key in data ? data[key] : null),
+      set: (key, value) => { data[key] = value; },
+      remove: key => { delete data[key]; }
+    }, 'web');
+    if (data[Utils.STORAGE_KEYS.SCHEMA_VERSION] !== StorageSchema.VERSION) {
+      return { success: false, error: 'This file could not be updated to this version of CluesWord' };
+    }
+    delete data[Utils.STORAGE_KEYS.SCHEMA_VERSION];
+
+    // The signature only catches accidents, so check what the screens will read
+    const history = data[Utils.STORAGE_KEYS.HISTORY] || [];
+    if (!history.every(StorageSchema.isValidHistoryEntry)) {
+      return { success: false, error: 'This file has been changed or damaged' };
+    }
+
+    return { success: true, data, exportedAt: file.exportedAt };
+  }
+
+  // Public API
+  return {
+    createExport,
+    getFileName,
+    parse
+  };
+})();
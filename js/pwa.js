@@ -0,0 +1,76 @@
+/**
+ * CluesWord - PWA Module
+ * Registers the service worker (sw.js) and reports when an update is ready
+ *
+ * A new version installs in the background and waits. The app shows an
+ * "update available" prompt; applyUpdate() lets the new worker take over
+ * and the page reloads onto the new version.
+ */
+
+const Pwa = (function() {
+  'use strict';
+
+  let waitingWorker = null;
+  let updateRequested = false;
+
+  /**
+   * Register the service worker
+   * onUpdateAvailable is called once a new version is ready to apply
+   */
+  function register(onUpdateAvailable) {
+    if (!('serviceWorker' in navigator)) return;
+
+    // The dev server serves files as they change; add ?sw to test offline locally
+    if (Utils.isLocalhost() && !new URLSearchParams(window.location.search).has('sw')) return;
+
+    const notify = (worker) => {
+      waitingWorker = worker;
+      if (onUpdateAvailable) onUpdateAvailable();
+    };
+
+    navigator.serviceWorker.register('/sw.js', { updateViaCache: 'none' }).then(registration => {
+      // Installed on an earlier visit and still waiting
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        notify(registration.waiting);
+      }
+
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker.addEventListener('statechange', () => {
+          // Without a controller this is the first install, not an update
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+            notify(worker);
+          }
+        });
+      });
+
+      // Installed apps can stay open for days; check again when brought back
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') {
+          registration.update().catch(() => {});
+        }
+      });
+    }).catch(error => {
+      console.error('Service worker registration failed:', error);
+    });
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (updateRequested) window.location.reload();
+    });
+  }
+
+  /**
+   * Switch to the waiting version (the page reloads when it takes over)
+   */
+  function applyUpdate() {
+    if (!waitingWorker) return;
+    updateRequested = true;
+    waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+  }
+
+  // Public API
+  return {
+    register,
+    applyUpdate
+  };
+})();
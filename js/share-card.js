@@ -0,0 +1,287 @@
+/**
+ * CluesWord - Share Card Module
+ * What a finished game shares: the results text and a PNG card drawn on a canvas
+ *
+ * describe() gathers a game into a card (name, stats, grid, streak); getText()
+ * turns it into the Wordle-style text both share paths use (the web share
+ * button, and Reddit's comment, which needs blank lines between lines for
+ * Markdown); shareImage() draws the same card and hands the PNG to
+ * navigator.share, or downloads it where files can't be shared.
+ *
+ * Shared by the web app and the Reddit webview.
+ */
+
+const ShareCard = (function() {
+  'use strict';
+
+  // Grid cells: letter results, plus the rows where a letter hint was bought
+  const CELL_EMOJIS = {
+    correct: '🟩',
+    wrongPosition: '🟨',
+    wrong: '⬜',
+    hint: '💡',
+    blank: '⬛'
+  };
+
+  // Canvas layout (CSS pixels; drawn at 2x for sharp text)
+  const CARD = { WIDTH: 600, PADDING: 40, CELL: 44, GAP: 6, SCALE: 2 };
+
+  // Light theme colors (css/styles.css)
+  const COLORS = {
+    background: '#faf8f5',
+    panel: '#f5f0e8',
+    text: '#3d2c1e',
+    muted: '#9a8a7a',
+    correct: '#6aaa64',
+    wrongPosition: '#c9b458',
+    wrong: '#787c7e',
+    blank: '#ebe4d8',
+    hint: '#ebe4d8'
+  };
+
+  const FONT = "'Inter', -apple-system, BlinkMacSystemFont, sans-serif";
+
+  /**
+   * Emoji row for grid cells (or letter results from GameState.evaluateGuess)
+   */
+  function getRowEmojis(cells) {
+    return cells.map(cell => CELL_EMOJIS[cell] || CELL_EMOJIS.wrong).join('');
+  }
+
+  /**
+   * Grid rows: one per guess, with a hint row (marking the revealed position)
+   * wherever a letter hint was bought
+   */
+  function getGrid(puzzle, state) {
+    const encoded = AnswerCodec.isEncoded(puzzle);
+    const target = encoded ? puzzle : puzzle.word;
+    const length = encoded ? AnswerCodec.getLength(puzzle) : AnswerCodec.normalize(puzzle.word).length;
+
+    const rows = state.guesses.map(guess => GameState.evaluateGuess(guess, target).map(e => e.status));
+    [...state.hints]
+      .sort((a, b) => b.afterGuesses - a.afterGuesses)
+      .forEach(hint => {
+        rows.splice(hint.afterGuesses, 0, Array.from({ length }, (_, i) => (i === hint.position ? 'hint' : 'blank')));
+      });
+    return rows;
+  }
+
+  /**
+   * Puzzle name for sharing: "#12" for days (the day number, same as the
+   * card's "Day #12"), "Animals #3" for quick play (the number comes from the
+   * id, "daily-012" → 12), "custom Animals puzzle" for custom links, just the
+   * category when the id has no number
+   */
+  function getPuzzleName(puzzle, dayNumber = null) {
+    if (dayNumber !== null) return `#${dayNumber}`;
+    const puzzleNumber = parseInt(puzzle.id.split('-').pop(), 10);
+    if (puzzle.code) return `custom ${puzzle.category} puzzle`;
+    if (Number.isNaN(puzzleNumber)) return puzzle.category;
+    return puzzle.id.startsWith('daily-') ? `#${puzzleNumber}` : `${puzzle.category} #${puzzleNumber}`;
+  }
+
+  /**
+   * Gather a finished game into a share card
+   * Options:
+   * - dayNumber: the daily's day number, for dailies (and archive days)
+   * - streak: current streak, to show it (the live daily)
+   * - elapsedMs: GameState.getElapsedMs(), shown for timed games
+   */
+  function describe(puzzle, state, { dayNumber = null, streak = null, elapsedMs = null } = {}) {
+    return {
+      puzzleId: puzzle.id,
+      name: getPuzzleName(puzzle, dayNumber),
+      category: puzzle.category,
+      dayNumber,
+      cluesRevealed: state.cluesRevealed,
+      totalClues: puzzle.clues.length,
+      tries: state.guesses.length,
+      hardMode: !!state.hardMode,
+      solved: state.status === 'won',
+      score: state.score,
+      seconds: state.timed && elapsedMs !== null ? Math.round(elapsedMs / 1000) : null,
+      rows: getGrid(puzzle, state),
+      streak
+    };
+  }
+
+  /**
+   * Results text, e.g.
+   *   CluesWord #12 🧩
+   *   📍2/3 🎯3 ⭐85
+   *   🟩⬜🟨⬜⬜ ...
+   * Options:
+   * - url: link to the puzzle, added at the end
+   * - spaced: blank lines between lines (Reddit Markdown)
+   */
+  function getText(card, { url = null, spaced = false } = {}) {
+    // Hard mode marker, like Wordle's asterisk; gave up: flag instead of score
+    const hardModeMarker = card.hardMode ? '*' : '';
+    const scoreText = card.solved ? `⭐${card.score}` : '🏳️';
+    const timeText = card.seconds !== null ? ` ⏱️${Utils.formatDuration(card.seconds)}` : '';
+
+    const lines = [
+      `CluesWord ${card.name} 🧩`,
+      `📍${card.cluesRevealed}/${card.totalClues}${hardModeMarker} 🎯${card.tries} ${scoreText}${timeText}`,
+      ...card.rows.map(getRowEmojis)
+    ];
+    if (url) lines.push(url);
+    return lines.join(spaced ? '\n\n' : '\n');
+  }
+
+  function roundRect(ctx, x, y, width, height, radius) {
+    ctx.beginPath();
+    ctx.moveTo(x + radius, y);
+    ctx.arcTo(x + width, y, x + width, y + height, radius);
+    ctx.arcTo(x + width, y + height, x, y + height, radius);
+    ctx.arcTo(x, y + height, x, y, radius);
+    ctx.arcTo(x, y, x + width, y, radius);
+    ctx.closePath();
+  }
+
+  /**
+   * Draw the card on a new canvas, sized to fit its grid
+   */
+  function draw(card, url) {
+    const columns = card.rows.length > 0 ? card.rows[0].length : 0;
+    const inner = CARD.WIDTH - CARD.PADDING * 2;
+    // Long answers shrink the cells to fit the width
+    const cell = Math.min(CARD.CELL, columns > 0 ? (inner - CARD.GAP * (columns - 1)) / columns : CARD.CELL);
+    const gridWidth = columns * cell + Math.max(0, columns - 1) * CARD.GAP;
+    const gridHeight = card.rows.length * (cell + CARD.GAP);
+
+    const statsTop = 150;
+    const gridTop = statsTop + 110;
+    const height = gridTop + gridHeight + (card.streak !== null ? 60 : 20) + 50;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = CARD.WIDTH * CARD.SCALE;
+    canvas.height = height * CARD.SCALE;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(CARD.SCALE, CARD.SCALE);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    const centerX = CARD.WIDTH / 2;
+
+    ctx.fillStyle = COLORS.background;
+    ctx.fillRect(0, 0, CARD.WIDTH, height);
+
+    // Title, then the category and day (or the puzzle's name)
+    ctx.fillStyle = COLORS.text;
+    ctx.font = `700 40px ${FONT}`;
+    ctx.fillText('CluesWord 🧩', centerX, 70);
+    ctx.fillStyle = COLORS.muted;
+    ctx.font = `500 22px ${FONT}`;
+    const subtitle = card.dayNumber !== null ? `${card.category} · Day #${card.dayNumber}` : card.name;
+    ctx.fillText(subtitle.charAt(0).toUpperCase() + subtitle.slice(1), centerX, 112);
+
+    // Stats: clues, tries, score, and time for timed games
+    const stats = [
+      [`${card.cluesRevealed}/${card.totalClues}${card.hardMode ? '*' : ''}`, 'clues'],
+      [String(card.tries), card.tries === 1 ? 'try' : 'tries'],
+      card.solved ? [String(card.score), 'points'] : ['🏳️', 'gave up']
+    ];
+    if (card.seconds !== null) stats.push([Utils.formatDuration(card.seconds), 'time']);
+    const statWidth = (inner - CARD.GAP * (stats.length - 1)) / stats.length;
+    stats.forEach(([value, label], i) => {
+      const x = CARD.PADDING + i * (statWidth + CARD.GAP);
+      ctx.fillStyle = COLORS.panel;
+      roundRect(ctx, x, statsTop, statWidth, 84, 8);
+      ctx.fill();
+      ctx.fillStyle = COLORS.text;
+      ctx.font = `700 30px ${FONT}`;
+      ctx.fillText(value, x + statWidth / 2, statsTop + 34);
+      ctx.fillStyle = COLORS.muted;
+      ctx.font = `500 15px ${FONT}`;
+      ctx.fillText(label, x + statWidth / 2, statsTop + 64);
+    });
+
+    // Grid of tiles, with 💡 on hint rows
+    const gridLeft = (CARD.WIDTH - gridWidth) / 2;
+    card.rows.forEach((row, r) => {
+      row.forEach((cellType, c) => {
+        const x = gridLeft + c * (cell + CARD.GAP);
+        const y = gridTop + r * (cell + CARD.GAP);
+        ctx.fillStyle = COLORS[cellType] || COLORS.wrong;
+        roundRect(ctx, x, y, cell, cell, 4);
+        ctx.fill();
+        if (cellType === 'hint') {
+          ctx.font = `${Math.round(cell * 0.6)}px ${FONT}`;
+          ctx.fillText(CELL_EMOJIS.hint, x + cell / 2, y + cell / 2);
+        }
+      });
+    });
+
+    // Streak (live daily) and where to play
+    let footerY = gridTop + gridHeight + 20;
+    if (card.streak !== null) {
+      ctx.fillStyle = COLORS.text;
+      ctx.font = `600 22px ${FONT}`;
+      ctx.fillText(`🔥 ${card.streak} day streak`, centerX, footerY + 14);
+      footerY += 40;
+    }
+    if (url) {
+      ctx.fillStyle = COLORS.muted;
+      ctx.font = `500 16px ${FONT}`;
+      ctx.fillText(url, centerX, footerY + 14);
+    }
+
+    return canvas;
+  }
+
+  /**
+   * Render the card as a PNG
+   * Resolves to a Blob, or null if the browser couldn't make one
+   */
+  function toBlob(card, url = null) {
+    return new Promise(resolve => draw(card, url).toBlob(resolve, 'image/png'));
+  }
+
+  function download(blob, filename) {
+    const href = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = href;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(href), 1000);
+  }
+
+  /**
+   * Share the card as an image with the share sheet, or download it where
+   * files can't be shared (most desktop browsers)
+   * Options: text to go with the image; url to print on the card
+   * Returns { success: true, shared } (shared false means downloaded)
+   * or { success: false, error } (error null if the player closed the share sheet)
+   */
+  async function shareImage(card, { text = '', url = null } = {}) {
+    const blob = await toBlob(card, url);
+    if (!blob) {
+      return { success: false, error: "Couldn't create the image" };
+    }
+
+    const filename = `cluesword-${card.puzzleId}.png`;
+    const file = new File([blob], filename, { type: 'image/png' });
+    if (navigator.canShare && navigator.canShare({ files: [file] })) {
+      try {
+        await navigator.share({ files: [file], text });
+        return { success: true, shared: true };
+      } catch (error) {
+        return { success: false, error: error.name === 'AbortError' ? null : "Couldn't share the image" };
+      }
+    }
+
+    download(blob, filename);
+    return { success: true, shared: false };
+  }
+
+  // Public API
+  return {
+    getRowEmojis,
+    describe,
+    getText,
+    toBlob,
+    shareImage
+  };
+})();
@@ -10,15 +10,45 @@ const StorageManager = (function() {
 
   /**
    * Get item from storage, parse JSON
+   * Unreadable values are set aside (see recoverCorrupted) and read as null
    */
   function get(key) {
+    let item;
     try {
-      const item = localStorage.getItem(key);
-      return item ? JSON.parse(item) : null;
+      item = localStorage.getItem(key);
     } catch (e) {
       console.error('StorageManager.get error:', e);
       return null;
     }
+    if (!item) return null;
+
+    let value;
+    try {
+      value = JSON.parse(item);
+    } catch (e) {
+      recoverCorrupted(key, item, e);
+      return null;
+    }
+
+    if (!StorageSchema.isValidValue(key, value)) {
+      recoverCorrupted(key, item, new TypeError('unexpected value type'));
+      return null;
+    }
+    return value;
+  }
+
+  /**
+   * Move a corrupted value to `<key>_corrupt` so the defaults take over
+   * instead of the same read failing on every load
+   */
+  function recoverCorrupted(key, raw, error) {
+    console.warn(`StorageManager: ${key} was unreadable and has been reset (${error.message})`);
+    try {
+      localStorage.setItem(`${key}_corrupt`, raw);
+      localStorage.removeItem(key);
+    } catch (e) {
+      console.error('StorageManager.recoverCorrupted error:', e);
+    }
   }
 
   /**
@@ -54,6 +84,35 @@ const StorageManager = (function() {
     Object.values(KEYS).forEach(key => remove(key));
   }
 
+  /**
+   * Bring stored data up to the current schema (run once at startup)
+   */
+  function migrate() {
+    const applied = StorageSchema.migrate({ get, set, remove }, 'web');
+    if (applied.length > 0) {
+      console.log(`StorageManager: migrated storage to schema v${applied[applied.length - 1]}`);
+    }
+    return applied;
+  }
+
+  function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * Fill missing fields of a stored object from its defaults, including
+   * nested objects, so older saves pick up fields added since
+   */
+  function withDefaults(defaults, value) {
+    const merged = { ...defaults };
+    Object.entries(isPlainObject(value) ? value : {}).forEach(([field, fieldValue]) => {
+      merged[field] = isPlainObject(defaults[field]) && isPlainObject(fieldValue)
+        ? withDefaults(defaults[field], fieldValue)
+        : fieldValue;
+    });
+    return merged;
+  }
+
   // Daily State Management
 
   function getDailyState() {
@@ -82,56 +141,102 @@ const StorageManager = (function() {
     return remove(KEYS.QUICKPLAY_STATE);
   }
 
+  // Archive State Management (a past daily in progress)
+
+  function getArchiveState() {
+    return get(KEYS.ARCHIVE_STATE);
+  }
+
+  function saveArchiveState(state) {
+    return set(KEYS.ARCHIVE_STATE, state);
+  }
+
+  function clearArchiveState() {
+    return remove(KEYS.ARCHIVE_STATE);
+  }
+
+  // Custom State Management (a puzzle from a custom puzzle link)
+
+  function getCustomState() {
+    return get(KEYS.CUSTOM_STATE);
+  }
+
+  function saveCustomState(state) {
+    return set(KEYS.CUSTOM_STATE, state);
+  }
+
   // Statistics Management
+  // Stored as { modes: { daily, quickplay, archive, custom }, streakBaseline }
 
-  function getStats() {
-    const defaultStats = {
+  function createModeStats() {
+    return {
       played: 0,
       won: 0,
-      currentStreak: 0,
-      maxStreak: 0,
       totalScore: 0,
       bestScore: 0,
       lastPlayedDate: null,
       clueDistribution: { 1: 0, 2: 0, 3: 0 },
-      categoryStats: {}
+      categoryStats: {},
+      hardMode: {
+        played: 0,
+        won: 0,
+        totalScore: 0,
+        bestScore: 0,
+        clueDistribution: { 1: 0, 2: 0, 3: 0 }
+      }
     };
+  }
+
+  /**
+   * Load the stored stats (split by mode in schema v2, see js/storage-schema.js)
+   */
+  function loadStats() {
+    const stored = get(KEYS.STATS);
+    return stored && stored.modes ? stored : { modes: {}, streakBaseline: null };
+  }
 
-    const stats = get(KEYS.STATS);
-    return stats ? { ...defaultStats, ...stats } : defaultStats;
+  /**
+   * Get stats for one mode ('daily', 'quickplay', 'archive', or 'custom')
+   * Only Daily has streaks; they're recomputed from the daily play history
+   */
+  function getStats(mode = 'daily') {
+    const stats = withDefaults(createModeStats(), loadStats().modes[mode]);
+    stats.currentStreak = 0;
+    stats.maxStreak = 0;
+
+    if (mode === 'daily') {
+      const streak = getStreakInfo();
+      stats.currentStreak = streak.currentStreak;
+      stats.maxStreak = streak.maxStreak;
+    }
+    return stats;
   }
 
-  function saveStats(stats) {
-    return set(KEYS.STATS, stats);
+  function saveStats(stats, mode = 'daily') {
+    const all = loadStats();
+    const { currentStreak, maxStreak, ...counters } = stats;
+    all.modes[mode] = counters;
+    return set(KEYS.STATS, all);
   }
 
-  function updateStats(cluesUsed, score, category, won = true) {
-    const stats = getStats();
+  function updateStats(cluesUsed, score, category, won = true, hardMode = false, mode = 'daily') {
+    const stats = getStats(mode);
     const today = Utils.getDateString();
 
     stats.played += 1;
 
+    // Hard mode games are also tracked in their own bucket
+    if (hardMode) {
+      updateHardModeStats(stats.hardMode, cluesUsed, score, won);
+    }
+
     if (won) {
       stats.won += 1;
       stats.totalScore += score;
       stats.bestScore = Math.max(stats.bestScore, score);
 
-      // Update clue distribution
-      if (stats.clueDistribution[cluesUsed] !== undefined) {
-        stats.clueDistribution[cluesUsed] += 1;
-      }
-
-      // Update streak
-      if (stats.lastPlayedDate) {
-        if (Utils.isYesterday(stats.lastPlayedDate)) {
-          stats.currentStreak += 1;
-        } else if (!Utils.isToday(stats.lastPlayedDate)) {
-          stats.currentStreak = 1;
-        }
-      } else {
-        stats.currentStreak = 1;
-      }
-      stats.maxStreak = Math.max(stats.maxStreak, stats.currentStreak);
+      // Update clue distribution (puzzles can have up to Utils.MAX_CLUES)
+      addToDistribution(stats.clueDistribution, cluesUsed);
 
       // Update category stats
       if (!stats.categoryStats[category]) {
@@ -142,22 +247,49 @@ const StorageManager = (function() {
     }
 
     stats.lastPlayedDate = today;
-    saveStats(stats);
+    saveStats(stats, mode);
     return stats;
   }
 
+  function updateHardModeStats(bucket, cluesUsed, score, won) {
+    bucket.played += 1;
+    if (won) {
+      bucket.won += 1;
+      bucket.totalScore += score;
+      bucket.bestScore = Math.max(bucket.bestScore, score);
+      addToDistribution(bucket.clueDistribution, cluesUsed);
+    }
+  }
+
+  function addToDistribution(distribution, cluesUsed) {
+    if (Number.isInteger(cluesUsed) && cluesUsed >= 1 && cluesUsed <= Utils.MAX_CLUES) {
+      distribution[cluesUsed] = (distribution[cluesUsed] || 0) + 1;
+    }
+  }
+
   // Played Puzzles Tracking (for Quick Play)
 
+  /**
+   * Get played Quick Play puzzle ids, least recently played first
+   */
   function getPlayedPuzzles() {
     return get(KEYS.PLAYED_PUZZLES) || [];
   }
 
+  /**
+   * Mark a puzzle played (moved to the end if it was played before)
+   */
   function addPlayedPuzzle(puzzleId) {
-    const played = getPlayedPuzzles();
-    if (!played.includes(puzzleId)) {
-      played.push(puzzleId);
-      set(KEYS.PLAYED_PUZZLES, played);
-    }
+    const played = getPlayedPuzzles().filter(id => id !== puzzleId);
+    played.push(puzzleId);
+    set(KEYS.PLAYED_PUZZLES, played);
+  }
+
+  /**
+   * Forget which Quick Play puzzles were played, so every one counts as new
+   */
+  function clearPlayedPuzzles() {
+    remove(KEYS.PLAYED_PUZZLES);
   }
 
   // Completed Dailies Tracking (unlocks for Quick Play)
@@ -174,14 +306,324 @@ const StorageManager = (function() {
     }
   }
 
+  // Play History (append-only log of finished games)
+
+  /**
+   * Append a finished game to the history
+   * Entry: { puzzleId, mode, date, category, status, guesses, cluesRevealed,
+   *          totalClues, hintsUsed, score, hardMode, timed, duration (seconds, or null), finishedAt }
+   * Entries from before puzzles had varying clue counts have no totalClues (3)
+   */
+  function addHistoryEntry(entry) {
+    const history = get(KEYS.HISTORY) || [];
+    history.push({ ...entry, finishedAt: new Date().toISOString() });
+    return set(KEYS.HISTORY, history);
+  }
+
+  /**
+   * Get finished games, oldest first
+   * Filters (all optional): { mode, category, status, from, to } — from/to are inclusive date keys
+   */
+  function getHistory(filters = {}) {
+    const history = get(KEYS.HISTORY) || [];
+    return history.filter(entry =>
+      (!filters.mode || entry.mode === filters.mode) &&
+      (!filters.category || entry.category === filters.category) &&
+      (!filters.status || entry.status === filters.status) &&
+      (!filters.from || entry.date >= filters.from) &&
+      (!filters.to || entry.date <= filters.to)
+    );
+  }
+
+  /**
+   * Get the first finished daily (live or archive) for each puzzle day
+   * Returns { 'YYYY-MM-DD': entry }
+   */
+  function getDailyResults() {
+    const results = {};
+    getHistory().forEach(entry => {
+      if ((entry.mode === 'daily' || entry.mode === 'archive') && !results[entry.date]) {
+        results[entry.date] = entry;
+      }
+    });
+    return results;
+  }
+
+  // Streaks (recomputed from live daily history)
+
+  /**
+   * Get the streak carried over from before streaks came from history
+   * Snapshotted once from the old stored counters: { length, lastDate, maxStreak }
+   */
+  function getStreakBaseline() {
+    return loadStats().streakBaseline;
+  }
+
+  /**
+   * Walk every puzzle day from the first daily played through today
+   * - A win extends the streak; every STREAK_FREEZE.EARN_EVERY wins in a row earns a freeze
+   * - A missed day uses up a freeze if one is held, otherwise ends the streak
+   * - Giving up always ends the streak
+   * Today only counts once it's played, so an unplayed today doesn't break anything
+   * Returns { currentStreak, maxStreak, freezes, freezeProgress, frozenDays }
+   */
+  function getStreakInfo() {
+    const baseline = getStreakBaseline();
+    const { EARN_EVERY, MAX_HELD } = Utils.STREAK_FREEZE;
+
+    // First result per puzzle day ('won' or 'lost')
+    const results = {};
+    getHistory({ mode: 'daily' }).forEach(entry => {
+      if (!results[entry.date]) results[entry.date] = entry.status;
+    });
+
+    // Days from the old counters count as wins
+    if (baseline && baseline.length > 0) {
+      for (let i = 0; i < baseline.length; i++) {
+        const date = DayClock.addDays(baseline.lastDate, -i);
+        if (!results[date]) results[date] = 'won';
+      }
+    }
+
+    const info = {
+      currentStreak: 0,
+      maxStreak: baseline ? baseline.maxStreak : 0,
+      freezes: 0,
+      freezeProgress: 0,
+      frozenDays: []
+    };
+
+    const dates = Object.keys(results).sort();
+    if (dates.length === 0) return info;
+
+    const today = Utils.getDateString();
+    for (let date = dates[0]; date <= today; date = DayClock.addDays(date, 1)) {
+      const result = results[date];
+
+      if (result === 'won') {
+        info.currentStreak += 1;
+        info.freezeProgress += 1;
+        if (info.freezeProgress === EARN_EVERY) {
+          info.freezes = Math.min(info.freezes + 1, MAX_HELD);
+          info.freezeProgress = 0;
+        }
+      } else if (result === 'lost') {
+        info.currentStreak = 0;
+        info.freezeProgress = 0;
+      } else if (date !== today) {
+        // Missed day
+        if (info.currentStreak > 0 && info.freezes > 0) {
+          info.freezes -= 1;
+          info.frozenDays.push(date);
+        } else {
+          info.currentStreak = 0;
+          info.freezeProgress = 0;
+        }
+      }
+
+      info.maxStreak = Math.max(info.maxStreak, info.currentStreak);
+    }
+
+    return info;
+  }
+
+  // Best Runs (speed runs and gauntlets, per quick play category, 'random' included)
+
+  // How each table ranks its runs, and how many it keeps
+  const RUN_TABLES = {
+    // Fastest first (more puzzles solved breaks ties)
+    [KEYS.SPEED_RUNS]: {
+      kept: Utils.SPEED_RUN.BESTS_KEPT,
+      compare: (a, b) => a.timeMs - b.timeMs || b.solved - a.solved
+    },
+    // Longest first (higher score breaks ties)
+    [KEYS.GAUNTLET_RUNS]: {
+      kept: Utils.GAUNTLET.BESTS_KEPT,
+      compare: (a, b) => b.solved - a.solved || b.score - a.score
+    }
+  };
+
+  function getRunBests(key, category) {
+    const runs = (get(key) || {})[category];
+    return Array.isArray(runs) ? runs : [];
+  }
+
+  /**
+   * Add runs to a category's table, best first, keeping the table's size
+   */
+  function rankRuns(key, category, added) {
+    const { kept, compare } = RUN_TABLES[key];
+    return [...getRunBests(key, category), ...added].sort(compare).slice(0, kept);
+  }
+
+  /**
+   * Record a finished run
+   * Returns its place in the table (1 = new best), or 0 if it didn't make it
+   */
+  function addRunResult(key, category, run) {
+    const all = get(key) || {};
+    const entry = { ...run, finishedAt: new Date().toISOString() };
+    all[category] = rankRuns(key, category, [entry]);
+    set(key, all);
+    return all[category].indexOf(entry) + 1;
+  }
+
+  /**
+   * Get the best speed runs for a category, fastest first
+   * Run: { timeMs, score, solved, finishedAt }
+   */
+  function getSpeedRunBests(category) {
+    return getRunBests(KEYS.SPEED_RUNS, category);
+  }
+
+  function addSpeedRunResult(category, run) {
+    return addRunResult(KEYS.SPEED_RUNS, category, run);
+  }
+
+  /**
+   * Get the best gauntlet runs for a category, longest first
+   * Run: { solved, score, finishedAt }
+   */
+  function getGauntletBests(category) {
+    return getRunBests(KEYS.GAUNTLET_RUNS, category);
+  }
+
+  function addGauntletResult(category, run) {
+    return addRunResult(KEYS.GAUNTLET_RUNS, category, run);
+  }
+
+  // Moving Player Data Between Devices (export/import files)
+
+  // Everything a player would miss on a new device; in-progress games stay behind
+  const TRANSFER_KEYS = [KEYS.STATS, KEYS.HISTORY, KEYS.SETTINGS, KEYS.PLAYED_PUZZLES, KEYS.COMPLETED_DAILIES, KEYS.SPEED_RUNS, KEYS.GAUNTLET_RUNS];
+
+  /**
+   * Get the stored values of every transferable key ({ key: value })
+   */
+  function exportData() {
+    const data = {};
+    TRANSFER_KEYS.forEach(key => {
+      const value = get(key);
+      if (value !== null) data[key] = value;
+    });
+    return data;
+  }
+
+  function getHistoryEntryId(entry) {
+    return `${entry.finishedAt}|${entry.mode}|${entry.puzzleId}`;
+  }
+
+  /**
+   * Add the items of one list missing from another
+   * Returns { list, added }
+   */
+  function unionList(local, incoming) {
+    const list = [...local];
+    let added = 0;
+    incoming.forEach(item => {
+      if (!list.includes(item)) {
+        list.push(item);
+        added += 1;
+      }
+    });
+    return { list, added };
+  }
+
+  /**
+   * Merge player data from another device (at the current schema) into this one
+   * - History and puzzle lists are combined; history entries already here are skipped
+   * - Per mode, the stats with more games played are kept (counters from two
+   *   devices can't be added without counting shared games twice)
+   * - Streaks are recomputed from the combined history; the longer baseline is kept
+   * - Settings saved here win; imported ones only fill in the rest
+   * - Best run tables are combined, keeping the best runs
+   * Returns what changed: { historyAdded, playedAdded, completedAdded, statsModes, settingsAdded, runsAdded }
+   * With { dryRun: true } nothing is written, for previews
+   */
+  function mergeData(data, { dryRun = false } = {}) {
+    const summary = { historyAdded: 0, playedAdded: 0, completedAdded: 0, statsModes: [], settingsAdded: 0, runsAdded: 0 };
+
+    // History (kept oldest first)
+    const history = get(KEYS.HISTORY) || [];
+    const seen = new Set(history.map(getHistoryEntryId));
+    (data[KEYS.HISTORY] || []).filter(StorageSchema.isValidHistoryEntry).forEach(entry => {
+      const id = getHistoryEntryId(entry);
+      if (!seen.has(id)) {
+        seen.add(id);
+        history.push(entry);
+        summary.historyAdded += 1;
+      }
+    });
+    history.sort((a, b) => (a.finishedAt < b.finishedAt ? -1 : a.finishedAt > b.finishedAt ? 1 : 0));
+
+    const played = unionList(getPlayedPuzzles(), data[KEYS.PLAYED_PUZZLES] || []);
+    const completed = unionList(getCompletedDailies(), data[KEYS.COMPLETED_DAILIES] || []);
+    summary.playedAdded = played.added;
+    summary.completedAdded = completed.added;
+
+    // Stats
+    const stats = loadStats();
+    const incomingStats = data[KEYS.STATS];
+    if (incomingStats && incomingStats.modes) {
+      Object.entries(incomingStats.modes).forEach(([mode, bucket]) => {
+        const local = stats.modes[mode];
+        if (!local || (bucket.played || 0) > (local.played || 0)) {
+          stats.modes[mode] = bucket;
+          summary.statsModes.push(mode);
+        }
+      });
+
+      const incomingBaseline = incomingStats.streakBaseline;
+      const localBaseline = stats.streakBaseline;
+      if (incomingBaseline) {
+        const longer = !localBaseline || incomingBaseline.length > localBaseline.length ? incomingBaseline : localBaseline;
+        stats.streakBaseline = {
+          ...longer,
+          maxStreak: Math.max(incomingBaseline.maxStreak, localBaseline ? localBaseline.maxStreak : 0)
+        };
+      }
+    }
+
+    // Settings
+    const settings = get(KEYS.SETTINGS) || {};
+    const incomingSettings = data[KEYS.SETTINGS] || {};
+    summary.settingsAdded = Object.keys(incomingSettings).filter(key => !(key in settings)).length;
+
+    // Best runs (a run is the same run if it finished at the same moment)
+    const runTables = {};
+    Object.keys(RUN_TABLES).forEach(key => {
+      runTables[key] = get(key) || {};
+      Object.entries(data[key] || {}).forEach(([category, incomingRuns]) => {
+        if (!Array.isArray(incomingRuns)) return;
+        const finished = new Set(getRunBests(key, category).map(run => run.finishedAt));
+        const added = incomingRuns.filter(run => !finished.has(run.finishedAt));
+        const kept = rankRuns(key, category, added);
+        summary.runsAdded += added.filter(run => kept.includes(run)).length;
+        runTables[key][category] = kept;
+      });
+    });
+
+    if (!dryRun) {
+      set(KEYS.HISTORY, history);
+      set(KEYS.PLAYED_PUZZLES, played.list);
+      set(KEYS.COMPLETED_DAILIES, completed.list);
+      set(KEYS.STATS, stats);
+      set(KEYS.SETTINGS, { ...incomingSettings, ...settings });
+      Object.entries(runTables).forEach(([key, table]) => set(key, table));
+    }
+    return summary;
+  }
+
   // Settings Management
 
   function getSettings() {
     const defaultSettings = {
-      soundEnabled: false
+      soundEnabled: false,
+      hardMode: false,
+      validateGuesses: true,
+      timed: false
     };
-    const settings = get(KEYS.SETTINGS);
-    return settings ? { ...defaultSettings, ...settings } : defaultSettings;
+    return withDefaults(defaultSettings, get(KEYS.SETTINGS));
   }
 
   function saveSettings(settings) {
@@ -194,19 +636,36 @@ const StorageManager = (function() {
     set,
     remove,
     clearAll,
+    migrate,
     getDailyState,
     saveDailyState,
     clearDailyState,
     getQuickPlayState,
     saveQuickPlayState,
     clearQuickPlayState,
+    getArchiveState,
+    saveArchiveState,
+    clearArchiveState,
+    getCustomState,
+    saveCustomState,
     getStats,
     saveStats,
     updateStats,
     getPlayedPuzzles,
     addPlayedPuzzle,
+    clearPlayedPuzzles,
     getCompletedDailies,
     addCompletedDaily,
+    addHistoryEntry,
+    getHistory,
+    getDailyResults,
+    getStreakInfo,
+    getSpeedRunBests,
+    addSpeedRunResult,
+    getGauntletBests,
+    addGauntletResult,
+    exportData,
+    mergeData,
     getSettings,
     saveSettings
   };
@@ -0,0 +1,174 @@
+/**
+ * CluesWord - Storage Schema Module
+ * Versioned layout of stored player data, shared by js/storage-manager.js
+ * (localStorage) and reddit/webroot/js/storage-bridge.js (Redis).
+ *
+ * Migrations upgrade stored data one schema version at a time. They run in
+ * order at startup and the version reached is saved under
+ * STORAGE_KEYS.SCHEMA_VERSION, so each runs once per player. A migration gets
+ * the storage's own { get, set, remove } and must cope with missing keys.
+ */
+
+const StorageSchema = (function() {
+  'use strict';
+
+  const KEYS = Utils.STORAGE_KEYS;
+
+  const GAME_STATE_KEYS = [KEYS.DAILY_STATE, KEYS.QUICKPLAY_STATE, KEYS.ARCHIVE_STATE, KEYS.CUSTOM_STATE];
+  const GAME_STATUSES = ['in-progress', 'won', 'lost'];
+
+  // Keys holding lists; everything else except the version is an object
+  const ARRAY_KEYS = [KEYS.PLAYED_PUZZLES, KEYS.COMPLETED_DAILIES, KEYS.HISTORY];
+
+  /**
+   * Bring a saved game state to the current shape, or null if it's unusable
+   * Sets used to be stored as-is, which JSON turns into {}
+   */
+  function normalizeGameState(state) {
+    if (!state || typeof state !== 'object' || typeof state.puzzleId !== 'string') {
+      return null;
+    }
+
+    const toArray = value => {
+      if (Array.isArray(value)) return value;
+      if (typeof value === 'string') return value.split('');
+      return [];
+    };
+    const toTime = value => (typeof value === 'number' ? value : null);
+
+    return {
+      ...state,
+      date: typeof state.date === 'string' ? state.date : null,
+      guesses: toArray(state.guesses).filter(guess => typeof guess === 'string'),
+      cluesRevealed: Math.min(Math.max(Number(state.cluesRevealed) || 1, 1), Utils.MAX_CLUES),
+      correctPositions: toArray(state.correctPositions).filter(Number.isInteger),
+      wrongPositionLetters: toArray(state.wrongPositionLetters).filter(letter => typeof letter === 'string'),
+      status: GAME_STATUSES.includes(state.status) ? state.status : 'in-progress',
+      score: Number(state.score) || 0,
+      hardMode: !!state.hardMode,
+      hints: Array.isArray(state.hints)
+        ? state.hints.filter(hint => hint && Number.isInteger(hint.position) && Number.isInteger(hint.afterGuesses))
+        : [],
+      timed: !!state.timed,
+      timeBonus: Number(state.timeBonus) || 0,
+      startedAt: toTime(state.startedAt),
+      finishedAt: toTime(state.finishedAt),
+      pausedAt: toTime(state.pausedAt),
+      pausedMs: Math.max(Number(state.pausedMs) || 0, 0)
+    };
+  }
+
+  /**
+   * Check a play history entry (StorageManager.addHistoryEntry) has the shape
+   * the stats and archive screens read, for entries from files and transfer codes
+   */
+  function isValidHistoryEntry(entry) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return false;
+
+    const isString = value => typeof value === 'string';
+    const isOptional = (value, check) => value === undefined || value === null || check(value);
+
+    return ['date', 'mode', 'status', 'finishedAt'].every(field => isString(entry[field])) &&
+      GAME_STATUSES.includes(entry.status) &&
+      Number.isInteger(entry.score) &&
+      Number.isInteger(entry.cluesRevealed) &&
+      Array.isArray(entry.guesses) && entry.guesses.every(isString) &&
+      isOptional(entry.puzzleId, isString) &&
+      isOptional(entry.category, isString) &&
+      isOptional(entry.totalClues, Number.isInteger) &&
+      isOptional(entry.hintsUsed, Number.isInteger) &&
+      isOptional(entry.duration, Number.isInteger);
+  }
+
+  /**
+   * Check a parsed value has the right basic type for its key
+   */
+  function isValidValue(key, value) {
+    if (value === null) return true;
+    if (key === KEYS.SCHEMA_VERSION) return typeof value === 'number';
+    if (ARRAY_KEYS.includes(key)) return Array.isArray(value);
+    return typeof value === 'object' && !Array.isArray(value);
+  }
+
+  // Ordered migrations. `platforms` limits one to 'web' or 'reddit'.
+  const MIGRATIONS = [
+    {
+      version: 1,
+      description: 'Normalize saved game states',
+      migrate(store) {
+        GAME_STATE_KEYS.forEach(key => {
+          const state = store.get(key);
+          if (state === null) return;
+
+          const normalized = normalizeGameState(state);
+          if (normalized) {
+            store.set(key, normalized);
+          } else {
+            store.remove(key);
+          }
+        });
+      }
+    },
+    {
+      version: 2,
+      description: 'Split combined stats by mode',
+      platforms: ['web'], // Reddit mirrors the combined server-side userstats
+      migrate(store) {
+        const stored = store.get(KEYS.STATS);
+        if (!stored || stored.modes) return;
+
+        // Every mode used to share one object. There's no telling which games
+        // were dailies, so the combined counters become the Daily stats, and
+        // the old streak is kept as the baseline for history-based streaks.
+        const { currentStreak, maxStreak, streakBaseline, ...counters } = stored;
+        store.set(KEYS.STATS, {
+          modes: { daily: counters },
+          streakBaseline: streakBaseline !== undefined ? streakBaseline : {
+            length: stored.lastPlayedDate ? currentStreak || 0 : 0,
+            lastDate: stored.lastPlayedDate || null,
+            maxStreak: maxStreak || 0
+          }
+        });
+      }
+    }
+  ];
+
+  const VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+  /**
+   * Run every migration newer than the stored schema version
+   * Stops at the first failure so it's retried on the next start
+   * Returns the versions that were applied
+   */
+  function migrate(store, platform = 'web') {
+    const from = store.get(KEYS.SCHEMA_VERSION) || 0;
+    const applied = [];
+
+    for (const migration of MIGRATIONS) {
+      if (migration.version <= from) continue;
+
+      if (!migration.platforms || migration.platforms.includes(platform)) {
+        try {
+          migration.migrate(store);
+        } catch (e) {
+          console.error(`Storage migration ${migration.version} (${migration.description}) failed:`, e);
+          break;
+        }
+      }
+
+      store.set(KEYS.SCHEMA_VERSION, migration.version);
+      applied.push(migration.version);
+    }
+
+    return applied;
+  }
+
+  // Public API
+  return {
+    VERSION,
+    migrate,
+    normalizeGameState,
+    isValidHistoryEntry,
+    isValidValue
+  };
+})();
@@ -0,0 +1,148 @@
+/**
+ * CluesWord - Sync Module
+ * Moves progress between devices with a short transfer code
+ *
+ * One device uploads an export file (see js/player-data.js) under a fresh
+ * code; the other enters the code, downloads the file and merges it with
+ * StorageManager.mergeData, which resolves conflicts (history is combined,
+ * so streaks come out at least as long as on either device).
+ *
+ * Where the files live is up to a pluggable backend:
+ *   {
+ *     name: string,
+ *     upload(code, file) → Promise<{ success, expiresAt, error }>,
+ *     download(code)     → Promise<{ success, file, error }>
+ *   }
+ * createHttpBackend() talks to scripts/sync-server.cjs, a mock server that
+ * keeps codes in a local file. Without a backend, sync is unavailable.
+ */
+
+const Sync = (function() {
+  'use strict';
+
+  // No 0/O or 1/I/L, so codes survive being read aloud or typed on a phone
+  const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+  const CODE_LENGTH = 6;
+
+  // Where `npm run sync-server` listens by default
+  const LOCAL_SERVER_URL = 'http://localhost:8787/sync';
+
+  let backend = null;
+
+  /**
+   * Use a sync backend (null turns sync off)
+   */
+  function setBackend(syncBackend) {
+    backend = syncBackend;
+  }
+
+  function isAvailable() {
+    return !!backend;
+  }
+
+  /**
+   * Make a random transfer code
+   */
+  function createCode() {
+    const values = new Uint32Array(CODE_LENGTH);
+    crypto.getRandomValues(values);
+    return Array.from(values, value => CODE_ALPHABET[value % CODE_ALPHABET.length]).join('');
+  }
+
+  /**
+   * Tidy a typed code: uppercase, without spaces or dashes
+   * Returns null if it can't be a transfer code
+   */
+  function normalizeCode(input) {
+    const code = String(input || '').toUpperCase().replace(/[\s-]/g, '');
+    if (code.length !== CODE_LENGTH) return null;
+    return [...code].every(char => CODE_ALPHABET.includes(char)) ? code : null;
+  }
+
+  /**
+   * Format a code for display, e.g. "ABC-234"
+   */
+  function formatCode(code) {
+    return `${code.slice(0, CODE_LENGTH / 2)}-${code.slice(CODE_LENGTH / 2)}`;
+  }
+
+  /**
+   * Upload this device's progress under a new code
+   * Returns { success, code, expiresAt } or { success, error }
+   */
+  async function sendProgress() {
+    if (!backend) return { success: false, error: 'Sync is not available' };
+
+    const code = createCode();
+    try {
+      const result = await backend.upload(code, PlayerData.createExport());
+      if (!result.success) return { success: false, error: result.error || 'Could not create a transfer code' };
+      return { success: true, code, expiresAt: result.expiresAt };
+    } catch (e) {
+      console.error('Sync.sendProgress error:', e);
+      return { success: false, error: 'Could not reach the sync server' };
+    }
+  }
+
+  /**
+   * Download the progress stored under a code, ready to merge
+   * Returns { success, data, exportedAt } (see PlayerData.parse) or { success, error }
+   */
+  async function receiveProgress(input) {
+    if (!backend) return { success: false, error: 'Sync is not available' };
+
+    const code = normalizeCode(input);
+    if (!code) return { success: false, error: `Transfer codes are ${CODE_LENGTH} letters and numbers` };
+
+    try {
+      const result = await backend.download(code);
+      if (!result.success) return { success: false, error: result.error || 'Could not find that code' };
+      return PlayerData.parse(JSON.stringify(result.file));
+    } catch (e) {
+      console.error('Sync.receiveProgress error:', e);
+      return { success: false, error: 'Could not reach the sync server' };
+    }
+  }
+
+  /**
+   * Backend for an HTTP server with PUT/GET <baseUrl>/<code>
+   * (scripts/sync-server.cjs)
+   */
+  function createHttpBackend(baseUrl = LOCAL_SERVER_URL) {
+    async function request(code, options) {
+      const response = await fetch(`${baseUrl}/${code}`, options);
+      const body = await response.json().catch(() => ({}));
+      return { ok: response.ok, body };
+    }
+
+    return {
+      name: 'http',
+
+      async upload(code, file) {
+        const { ok, body } = await request(code, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(file)
+        });
+        return ok ? { success: true, expiresAt: body.expiresAt } : { success: false, error: body.error };
+      },
+
+      async download(code) {
+        const { ok, body } = await request(code, { method: 'GET' });
+        return ok ? { success: true, file: body.file } : { success: false, error: body.error };
+      }
+    };
+  }
+
+  // Public API
+  return {
+    LOCAL_SERVER_URL,
+    setBackend,
+    isAvailable,
+    normalizeCode,
+    formatCode,
+    sendProgress,
+    receiveProgress,
+    createHttpBackend
+  };
+})();
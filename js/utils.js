@@ -6,30 +6,79 @@
 const Utils = (function() {
   'use strict';
 
-  // Single version for cache busting and display
-  const APP_VERSION = '1.3';
+  // Single version for cache busting and display. Bump it (and every ?v= in
+  // index.html) with any change to shipped JS or CSS: /js/* and /css/* are
+  // cached as immutable (_headers), and the service worker's cache is named after it
+  const APP_VERSION = '1.5';
 
   // Game constants
-  const LAUNCH_DATE = new Date('2026-02-04'); // Update to actual launch date
-  const MAX_CLUES = 3;
+  const LAUNCH_DATE = new Date(DayClock.LAUNCH_DAY); // Launch day lives in day-clock.js
 
-  // Scoring
+  // Clues per puzzle: anywhere from MIN_CLUES to MAX_CLUES (most have DEFAULT_CLUES)
+  const MIN_CLUES = 2;
+  const MAX_CLUES = 6;
+  const DEFAULT_CLUES = 3;
+
+  // Optional puzzle `difficulty` values, easiest first (scripts/estimate-difficulty.cjs)
+  const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+  // When a new daily puzzle starts: 'utc' (same for everyone) or 'local' midnight
+  // (netlify/edge-functions/daily-gate.js releases day files by the same rule)
+  const DAILY_ROLLOVER = DayClock.ROLLOVER.UTC;
+  DayClock.setRollover(DAILY_ROLLOVER);
+
+  // Scoring: solving on the first clue earns FIRST_CLUE, on the last clue
+  // LAST_CLUE, with even steps between however many clues the puzzle has
   const BASE_SCORES = {
-    ONE_CLUE: 100,
-    TWO_CLUES: 85,
-    THREE_CLUES: 70,
-    ALL_CLUES: 50
+    FIRST_CLUE: 100,
+    LAST_CLUE: 70
   };
   const PENALTY_PER_WRONG_GUESS = 5;
+  const HINT_COST = 15; // Per letter revealed with GameState.revealLetter()
+
+  // Timed games: solving within FULL_SECONDS adds MAX points, shrinking
+  // evenly to nothing at ZERO_SECONDS (time with the tab hidden doesn't count)
+  const TIME_BONUS = {
+    MAX: 50,
+    FULL_SECONDS: 15,
+    ZERO_SECONDS: 300
+  };
+
+  // Speed runs: PUZZLES timed quick play puzzles back to back; giving up on
+  // one adds GIVE_UP_PENALTY_SECONDS, and the BESTS_KEPT fastest runs are kept
+  const SPEED_RUN = {
+    PUZZLES: 5,
+    GIVE_UP_PENALTY_SECONDS: 30,
+    BESTS_KEPT: 5
+  };
+
+  // Gauntlet: quick play puzzles one after another on a pool of LIVES wrong
+  // guesses for the whole run; the first puzzle lost ends it
+  const GAUNTLET = {
+    LIVES: 10,
+    BESTS_KEPT: 5
+  };
+
+  // Streak freezes: earned every EARN_EVERY daily wins in a row, each covers one missed day
+  const STREAK_FREEZE = {
+    EARN_EVERY: 7,
+    MAX_HELD: 2
+  };
 
   // Storage keys
   const STORAGE_KEYS = {
     DAILY_STATE: 'cluesword_daily_state',
     QUICKPLAY_STATE: 'cluesword_quickplay_state',
+    ARCHIVE_STATE: 'cluesword_archive_state',
+    CUSTOM_STATE: 'cluesword_custom_state',
     STATS: 'cluesword_stats',
     SETTINGS: 'cluesword_settings',
     PLAYED_PUZZLES: 'cluesword_played_puzzles',
-    COMPLETED_DAILIES: 'cluesword_completed_dailies'
+    COMPLETED_DAILIES: 'cluesword_completed_dailies',
+    HISTORY: 'cluesword_history',
+    SPEED_RUNS: 'cluesword_speed_runs',
+    GAUNTLET_RUNS: 'cluesword_gauntlet_runs',
+    SCHEMA_VERSION: 'cluesword_schema_version'
   };
 
   // Categories
@@ -50,10 +99,10 @@ const Utils = (function() {
   }
 
   /**
-   * Get formatted date string (YYYY-MM-DD)
+   * Get formatted date string (YYYY-MM-DD) for the puzzle day a moment falls on
    */
   function getDateString(date = new Date()) {
-    return date.toISOString().split('T')[0];
+    return DayClock.getDayKey(date);
   }
 
   /**
@@ -70,31 +119,50 @@ const Utils = (function() {
    * Get today's puzzle index based on launch date
    */
   function getDailyPuzzleIndex(totalPuzzles) {
-    const daysSinceLaunch = daysBetween(LAUNCH_DATE, getTodayMidnight());
-    return daysSinceLaunch % totalPuzzles;
+    return DayClock.getPuzzleIndex(totalPuzzles);
+  }
+
+  /**
+   * Get days since launch (0 on launch day)
+   */
+  function getDaysSinceLaunch() {
+    return DayClock.getDaysSinceLaunch();
+  }
+
+  /**
+   * Get today's public day number (#1 on launch day)
+   */
+  function getDayNumber() {
+    return DayClock.getDayNumber();
   }
 
   /**
    * Calculate score based on clues used and number of tries
-   * Base score from clues, minus penalty for wrong guesses
-   */
-  function calculateScore(cluesUsed, totalTries = 1) {
-    let baseScore;
-    switch(cluesUsed) {
-      case 1: baseScore = BASE_SCORES.ONE_CLUE; break;
-      case 2: baseScore = BASE_SCORES.TWO_CLUES; break;
-      case 3: baseScore = BASE_SCORES.THREE_CLUES; break;
-      default: baseScore = BASE_SCORES.ALL_CLUES;
-    }
+   * Base score from clues (scaled to the puzzle's clue count, so a 3-clue
+   * puzzle gives 100/85/70), minus penalties for wrong guesses and letter hints
+   */
+  function calculateScore(cluesUsed, totalTries = 1, totalClues = DEFAULT_CLUES, hintsUsed = 0) {
+    const step = (BASE_SCORES.FIRST_CLUE - BASE_SCORES.LAST_CLUE) / Math.max(totalClues - 1, 1);
+    const clueIndex = Math.min(Math.max(cluesUsed, 1), totalClues) - 1;
+    const baseScore = Math.round(BASE_SCORES.FIRST_CLUE - step * clueIndex);
 
     // Deduct points for wrong guesses (tries - 1 = wrong guesses)
     const wrongGuesses = Math.max(0, totalTries - 1);
-    const penalty = wrongGuesses * PENALTY_PER_WRONG_GUESS;
+    const penalty = wrongGuesses * PENALTY_PER_WRONG_GUESS + hintsUsed * HINT_COST;
 
     // Minimum score is 10 points
     return Math.max(10, baseScore - penalty);
   }
 
+  /**
+   * Bonus points for solving a timed game in a number of seconds
+   */
+  function calculateTimeBonus(seconds) {
+    const { MAX, FULL_SECONDS, ZERO_SECONDS } = TIME_BONUS;
+    if (seconds <= FULL_SECONDS) return MAX;
+    return Math.max(0, Math.round(MAX * (ZERO_SECONDS - seconds) / (ZERO_SECONDS - FULL_SECONDS)));
+  }
+
   /**
    * Filter input to letters only, uppercase
    */
@@ -116,6 +184,25 @@ const Utils = (function() {
     return word.replace(/[\s-]/g, '').length;
   }
 
+  /**
+   * Get ordinal suffix for a number (1st, 2nd, 3rd, 4th...)
+   */
+  function getOrdinal(n) {
+    const suffixes = ['th', 'st', 'nd', 'rd'];
+    const v = n % 100;
+    return n + (suffixes[(v - 20) % 10] || suffixes[v] || suffixes[0]);
+  }
+
+  /**
+   * Format a duration in seconds as m:ss (or h:mm:ss)
+   */
+  function formatDuration(seconds) {
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = String(seconds % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+  }
+
   /**
    * Shuffle array using Fisher-Yates
    */
@@ -150,42 +237,78 @@ const Utils = (function() {
     };
   }
 
+  /**
+   * Check if the game is running on a local dev server
+   */
+  function isLocalhost() {
+    const hostname = window.location.hostname;
+    return hostname === 'localhost' || hostname === '127.0.0.1';
+  }
+
+  /**
+   * Short hash of a string (32-bit FNV-1a as 8 hex chars)
+   * Spots edited or damaged data, and keeps word lists from spelling out
+   * answers (js/word-list.js); it isn't a secret
+   */
+  function hashString(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      hash ^= str.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+
   /**
    * Check if yesterday's date matches (for streak calculation)
    */
   function isYesterday(dateString) {
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-    return getDateString(yesterday) === dateString;
+    return DayClock.isYesterday(dateString);
   }
 
   /**
    * Check if date is today
    */
   function isToday(dateString) {
-    return getDateString() === dateString;
+    return DayClock.isToday(dateString);
   }
 
   // Public API
   return {
     APP_VERSION,
     LAUNCH_DATE,
+    MIN_CLUES,
     MAX_CLUES,
+    DEFAULT_CLUES,
+    DIFFICULTIES,
+    DAILY_ROLLOVER,
     BASE_SCORES,
     PENALTY_PER_WRONG_GUESS,
+    HINT_COST,
+    TIME_BONUS,
+    SPEED_RUN,
+    GAUNTLET,
+    STREAK_FREEZE,
     STORAGE_KEYS,
     CATEGORIES,
     getTodayMidnight,
     getDateString,
     daysBetween,
     getDailyPuzzleIndex,
+    getDaysSinceLaunch,
+    getDayNumber,
     calculateScore,
+    calculateTimeBonus,
     sanitizeInput,
     countOccurrences,
     getLetterCount,
+    getOrdinal,
+    formatDuration,
     shuffleArray,
     getRandomItem,
     debounce,
+    hashString,
+    isLocalhost,
     isYesterday,
     isToday
   };
@@ -0,0 +1,34 @@
+/**
+ * CluesWord - Daily Gate (Netlify Edge Function)
+ * Keeps daily puzzles private until their day starts
+ *
+ * Each day's puzzle is its own file (data/encoded/days/YYYY-MM-DD.json, see
+ * scripts/build-puzzle-data.cjs). A static host would hand tomorrow's file to
+ * anyone who guessed the URL, so days that haven't started yet are a 404.
+ */
+
+// Keep in step with Utils.DAILY_ROLLOVER (js/utils.js): 'utc' or 'local'
+const DAILY_ROLLOVER = 'utc';
+
+// With a local-midnight rollover, the day starts up to 14 hours ahead of UTC (UTC+14)
+const EARLIEST_TIMEZONE_MS = 14 * 60 * 60 * 1000;
+
+/**
+ * Latest day that has started anywhere: today's UTC date with the UTC
+ * rollover, or the date in the earliest timezone with local midnight
+ */
+function getLatestDay(now = Date.now()) {
+  const ahead = DAILY_ROLLOVER === 'local' ? EARLIEST_TIMEZONE_MS : 0;
+  return new Date(now + ahead).toISOString().slice(0, 10);
+}
+
+export default async (request, context) => {
+  const match = new URL(request.url).pathname.match(/(\d{4}-\d{2}-\d{2})\.json$/);
+  if (!match) return context.next();
+
+  if (match[1] > getLatestDay()) {
+    return new Response('Not found', { status: 404, headers: { 'Cache-Control': 'no-store' } });
+  }
+
+  return context.next();
+};
@@ -0,0 +1,197 @@
+/**
+ * CluesWord - Day Clock Module
+ * Single source of truth for "which puzzle day is it?"
+ *
+ * Shared by the web app (loaded as a script, exposes DayClock) and the
+ * Devvit app (copied to reddit/src/day-clock.cjs by build-reddit).
+ *
+ * Days are identified by date keys (YYYY-MM-DD). Day arithmetic is done on
+ * calendar dates via Date.UTC, never by adding 24h to a timestamp, so DST
+ * transitions can't skip or repeat a day.
+ */
+
+const DayClock = (function() {
+  'use strict';
+
+  const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+  // Day 1 of the daily puzzle
+  const LAUNCH_DAY = '2026-02-04';
+
+  // Rollover policies: when does a new puzzle day start?
+  const ROLLOVER = {
+    UTC: 'utc',     // Same day for everyone, starts at 00:00 UTC
+    LOCAL: 'local'  // Starts at the player's local midnight
+  };
+
+  let rollover = ROLLOVER.UTC;
+
+  /**
+   * Set the rollover policy ('utc' or 'local')
+   * @param {string} policy
+   */
+  function setRollover(policy) {
+    if (policy !== ROLLOVER.UTC && policy !== ROLLOVER.LOCAL) {
+      throw new Error(`Unknown rollover policy: ${policy}`);
+    }
+    rollover = policy;
+  }
+
+  /**
+   * Get the current rollover policy
+   */
+  function getRollover() {
+    return rollover;
+  }
+
+  /** @param {number} n */
+  function pad(n) {
+    return String(n).padStart(2, '0');
+  }
+
+  /**
+   * Get the date key (YYYY-MM-DD) a moment falls on under a policy
+   */
+  function getDayKey(date = new Date(), policy = rollover) {
+    if (policy === ROLLOVER.LOCAL) {
+      return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+    return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+  }
+
+  /**
+   * Convert a date key to an absolute day count (days since 1970-01-01)
+   * @param {string} dayKey
+   */
+  function dayKeyToSerial(dayKey) {
+    const [year, month, day] = dayKey.split('-').map(Number);
+    return Math.round(Date.UTC(year, month - 1, day) / MS_PER_DAY);
+  }
+
+  /**
+   * Convert an absolute day count back to a date key
+   * @param {number} serial
+   */
+  function serialToDayKey(serial) {
+    return new Date(serial * MS_PER_DAY).toISOString().split('T')[0];
+  }
+
+  /**
+   * Shift a date key by a number of calendar days
+   * @param {string} dayKey
+   * @param {number} days
+   */
+  function addDays(dayKey, days) {
+    return serialToDayKey(dayKeyToSerial(dayKey) + days);
+  }
+
+  /**
+   * Signed number of calendar days from one date key to another
+   * @param {string} fromKey
+   * @param {string} toKey
+   */
+  function daysBetween(fromKey, toKey) {
+    return dayKeyToSerial(toKey) - dayKeyToSerial(fromKey);
+  }
+
+  /**
+   * Days since launch (0 on launch day, negative before it)
+   */
+  function getDaysSinceLaunch(date = new Date(), policy = rollover) {
+    return daysBetween(LAUNCH_DAY, getDayKey(date, policy));
+  }
+
+  /**
+   * Public day number (#1 on launch day)
+   */
+  function getDayNumber(date = new Date(), policy = rollover) {
+    return getDaysSinceLaunch(date, policy) + 1;
+  }
+
+  /**
+   * Get the day number for a date key
+   * @param {string} dayKey
+   */
+  function getDayNumberForKey(dayKey) {
+    return daysBetween(LAUNCH_DAY, dayKey) + 1;
+  }
+
+  /**
+   * Get the date key for a day number
+   * @param {number} dayNumber
+   */
+  function getDayKeyForNumber(dayNumber) {
+    return addDays(LAUNCH_DAY, dayNumber - 1);
+  }
+
+  /**
+   * Index into a rotating puzzle list for a given moment
+   * Always in range, even before launch day
+   * @param {number} totalPuzzles
+   */
+  function getPuzzleIndex(totalPuzzles, date = new Date(), policy = rollover) {
+    const days = getDaysSinceLaunch(date, policy);
+    return ((days % totalPuzzles) + totalPuzzles) % totalPuzzles;
+  }
+
+  /**
+   * Index into a rotating puzzle list for a date key
+   * @param {number} totalPuzzles
+   * @param {string} dayKey
+   */
+  function getPuzzleIndexForKey(totalPuzzles, dayKey) {
+    const days = daysBetween(LAUNCH_DAY, dayKey);
+    return ((days % totalPuzzles) + totalPuzzles) % totalPuzzles;
+  }
+
+  /**
+   * Check if a date key is the current day
+   * @param {string} dayKey
+   */
+  function isToday(dayKey, now = new Date(), policy = rollover) {
+    return dayKey === getDayKey(now, policy);
+  }
+
+  /**
+   * Check if a date key is the day before the current day
+   * @param {string} dayKey
+   */
+  function isYesterday(dayKey, now = new Date(), policy = rollover) {
+    return dayKey === addDays(getDayKey(now, policy), -1);
+  }
+
+  /**
+   * Get the moment the next puzzle day starts
+   */
+  function getNextRollover(now = new Date(), policy = rollover) {
+    if (policy === ROLLOVER.LOCAL) {
+      return new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+    }
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+  }
+
+  // Public API
+  return {
+    LAUNCH_DAY,
+    ROLLOVER,
+    setRollover,
+    getRollover,
+    getDayKey,
+    addDays,
+    daysBetween,
+    getDaysSinceLaunch,
+    getDayNumber,
+    getDayNumberForKey,
+    getDayKeyForNumber,
+    getPuzzleIndex,
+    getPuzzleIndexForKey,
+    isToday,
+    isYesterday,
+    getNextRollover
+  };
+})();
+
+// CommonJS export for the Devvit app (no-op in the browser)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DayClock;
+}
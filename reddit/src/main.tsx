@@ -1,22 +1,38 @@
 import { Devvit, useState, useWebView } from '@devvit/public-api';
 import type { DevvitMessage, WebViewMessage, PuzzleData } from './messages.js';
+import { MIN_CLUES, MAX_CLUES } from './messages.js';
 import dailyPuzzles from './daily-puzzles.json' with { type: 'json' };
+import dailySchedule from './daily-schedule.json' with { type: 'json' };
+import DayClock from './day-clock.cjs';
 
 Devvit.configure({
   redditAPI: true,
   redis: true,
 });
 
-// ─── Constants ───
+// ─── Daily Clock ───
 
-const LAUNCH_DATE = new Date('2026-02-04');
+// Posts go out at 8 AM UTC, so the puzzle day always rolls over on UTC
+// (same clock as the web version — see js/day-clock.js)
+DayClock.setRollover(DayClock.ROLLOVER.UTC);
 
-function getDailyPuzzleIndex(totalPuzzles: number): number {
-  const now = new Date();
-  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-  const msPerDay = 24 * 60 * 60 * 1000;
-  const daysSinceLaunch = Math.floor((today.getTime() - LAUNCH_DATE.getTime()) / msPerDay);
-  return ((daysSinceLaunch % totalPuzzles) + totalPuzzles) % totalPuzzles;
+// Today's puzzle from the dated schedule (data/schedule.json),
+// falling back to the rotation if the schedule has run out
+function getTodaysPuzzle(): PuzzleData | undefined {
+  const days: Record<string, string> = dailySchedule.days;
+  const scheduled = dailyPuzzles.find((p) => p.id === days[DayClock.getDayKey()]);
+  if (scheduled) return scheduled as PuzzleData;
+
+  console.warn(`No scheduled puzzle for ${DayClock.getDayKey()}, using rotation`);
+  return dailyPuzzles[DayClock.getPuzzleIndex(dailyPuzzles.length)] as PuzzleData | undefined;
+}
+
+// Clues as entered, blanks dropped, capped at MAX_CLUES
+function cleanClues(clues: (string | undefined)[]): string[] {
+  return clues
+    .map((clue) => (clue ?? '').trim())
+    .filter((clue) => clue.length > 0)
+    .slice(0, MAX_CLUES);
 }
 
 // ─── Scheduler: Daily Puzzle Auto-Post ───
@@ -27,12 +43,11 @@ Devvit.addSchedulerJob({
     const subredditName = await context.redis.get('dailySchedule:subreddit');
     if (!subredditName) return;
 
-    const index = getDailyPuzzleIndex(dailyPuzzles.length);
-    const puzzle = dailyPuzzles[index] as PuzzleData;
+    const puzzle = getTodaysPuzzle();
     if (!puzzle) return;
 
     // Check if we already posted this puzzle today
-    const today = new Date().toISOString().split('T')[0];
+    const today = DayClock.getDayKey();
     const lastPosted = await context.redis.get('dailySchedule:lastDate');
     if (lastPosted === today) return;
 
@@ -41,7 +56,7 @@ Devvit.addSchedulerJob({
 
     const letterCount = puzzle.word.replace(/[\s-]/g, '').length;
     const mask = Array(letterCount).fill('_').join(' ');
-    const dayNumber = Math.floor((new Date().getTime() - LAUNCH_DATE.getTime()) / (24 * 60 * 60 * 1000)) + 1;
+    const dayNumber = DayClock.getDayNumber();
 
     const post = await context.reddit.submitPost({
       title: `Daily CluesWord #${dayNumber}: ${puzzle.category} (${mask} — ${letterCount} letters)`,
@@ -60,6 +75,7 @@ Devvit.addSchedulerJob({
       ...puzzle,
       id: `daily-${post.id}`,
       author: 'CluesWord Bot',
+      dayNumber,
     };
 
     await context.redis.set(`puzzle:${post.id}`, JSON.stringify(puzzleData));
@@ -97,7 +113,7 @@ Devvit.addMenuItem({
     await context.redis.set('dailySchedule:jobId', jobId);
 
     // Only post today's puzzle if not already posted today
-    const today = new Date().toISOString().split('T')[0];
+    const today = DayClock.getDayKey();
     const lastPosted = await context.redis.get('dailySchedule:lastDate');
     if (lastPosted === today) {
       context.ui.showToast('Daily CluesWord started! Today\'s puzzle was already posted. Next one at 8 AM UTC.');
@@ -107,11 +123,11 @@ Devvit.addMenuItem({
     // Set date FIRST to prevent duplicate posts from concurrent runs
     await context.redis.set('dailySchedule:lastDate', today);
 
-    const index = getDailyPuzzleIndex(dailyPuzzles.length);
-    const puzzle = dailyPuzzles[index] as PuzzleData;
+    const puzzle = getTodaysPuzzle();
+    if (!puzzle) return;
     const letterCount = puzzle.word.replace(/[\s-]/g, '').length;
     const mask = Array(letterCount).fill('_').join(' ');
-    const dayNumber = Math.floor((new Date().getTime() - LAUNCH_DATE.getTime()) / (24 * 60 * 60 * 1000)) + 1;
+    const dayNumber = DayClock.getDayNumber();
 
     const post = await context.reddit.submitPost({
       title: `Daily CluesWord #${dayNumber}: ${puzzle.category} (${mask} — ${letterCount} letters)`,
@@ -129,6 +145,7 @@ Devvit.addMenuItem({
       ...puzzle,
       id: `daily-${post.id}`,
       author: 'CluesWord Bot',
+      dayNumber,
     };
 
     await context.redis.set(`puzzle:${post.id}`, JSON.stringify(puzzleData));
@@ -158,6 +175,27 @@ Devvit.addMenuItem({
   },
 });
 
+// Export solve rates for scripts/estimate-difficulty.cjs (--stats)
+Devvit.addMenuItem({
+  label: 'Export CluesWord Solve Rates',
+  location: 'subreddit',
+  forUserType: 'moderator',
+  onPress: async (_event, context) => {
+    const tallies = await context.redis.hGetAll('solverates');
+    const rates: Record<string, { solves: number; giveUps: number }> = {};
+    Object.entries(tallies ?? {}).forEach(([field, count]) => {
+      const split = field.lastIndexOf(':');
+      const id = field.slice(0, split);
+      rates[id] = rates[id] ?? { solves: 0, giveUps: 0 };
+      rates[id][field.slice(split + 1) as 'solves' | 'giveUps'] = Number(count);
+    });
+
+    // Printed to the app logs: copy it from `devvit logs` into a file
+    console.log(`CluesWord solve rates: ${JSON.stringify(rates)}`);
+    context.ui.showToast(`Solve rates for ${Object.keys(rates).length} puzzles written to the app logs.`);
+  },
+});
+
 // ─── Create Puzzle Form ───
 
 const createPuzzleForm = Devvit.createForm(
@@ -175,13 +213,19 @@ const createPuzzleForm = Devvit.createForm(
       ]},
       { name: 'clue1', label: 'Clue 1 — Vague', type: 'string', required: true },
       { name: 'clue2', label: 'Clue 2 — Specific', type: 'string', required: true },
-      { name: 'clue3', label: 'Clue 3 — Giveaway', type: 'string', required: true },
+      { name: 'clue3', label: 'Clue 3 — Giveaway (optional)', type: 'string', required: false },
+      { name: 'clue4', label: 'Clue 4 (optional)', type: 'string', required: false },
+      { name: 'clue5', label: 'Clue 5 (optional)', type: 'string', required: false },
+      { name: 'clue6', label: 'Clue 6 (optional)', type: 'string', required: false },
       { name: 'factoid', label: 'Fun Fact (optional)', type: 'string', required: false },
     ],
   },
   async (event, context) => {
-    const { word, category, clue1, clue2, clue3, factoid } = event.values;
+    const { word, category, factoid } = event.values;
     const cleanWord = (word as string).toUpperCase().trim();
+    const clues = cleanClues(
+      Array.from({ length: MAX_CLUES }, (_, i) => event.values[`clue${i + 1}`] as string | undefined)
+    );
     const categoryValue = Array.isArray(category) ? category[0] : category;
     const letterCount = cleanWord.replace(/[\s-]/g, '').length;
 
@@ -195,6 +239,11 @@ const createPuzzleForm = Devvit.createForm(
       return;
     }
 
+    if (clues.length < MIN_CLUES) {
+      context.ui.showToast(`Add at least ${MIN_CLUES} clues`);
+      return;
+    }
+
     const username = await context.reddit.getCurrentUsername();
     const subreddit = await context.reddit.getCurrentSubreddit();
 
@@ -219,7 +268,7 @@ const createPuzzleForm = Devvit.createForm(
       id: `custom-${post.id}`,
       category: categoryValue as string,
       word: cleanWord,
-      clues: [clue1 as string, clue2 as string, clue3 as string],
+      clues,
       factoid: (factoid as string) || `Puzzle created by u/${username}`,
       author: username ?? 'anonymous',
     };
@@ -330,9 +379,10 @@ Devvit.addCustomPostType({
           }
 
           case 'createPuzzle': {
-            const { word, category, clue1, clue2, clue3, factoid } = message.data;
+            const { word, category, factoid } = message.data;
             const cleanWord = word.toUpperCase().trim();
             const letterCount = cleanWord.replace(/[\s-]/g, '').length;
+            const clues = cleanClues(message.data.clues ?? []);
 
             if (letterCount < 2 || !/^[A-Z\s-]+$/.test(cleanWord)) {
               webView.postMessage({
@@ -342,6 +392,14 @@ Devvit.addCustomPostType({
               break;
             }
 
+            if (clues.length < MIN_CLUES) {
+              webView.postMessage({
+                type: 'puzzleCreated',
+                data: { success: false, message: `Add at least ${MIN_CLUES} clues.` },
+              });
+              break;
+            }
+
             const creatorName = username ?? 'anonymous';
             const subreddit = await context.reddit.getCurrentSubreddit();
             const mask = Array(letterCount).fill('_').join(' ');
@@ -362,7 +420,7 @@ Devvit.addCustomPostType({
               id: `custom-${newPost.id}`,
               category,
               word: cleanWord,
-              clues: [clue1, clue2, clue3],
+              clues,
               factoid: factoid || `Puzzle created by u/${creatorName}`,
               author: creatorName,
             };
@@ -383,11 +441,14 @@ Devvit.addCustomPostType({
 
           case 'saveScore': {
             const userId = username ?? 'anonymous';
+            // Older webviews never send `solved` — they only report wins
+            const solved = message.data.solved !== false;
             const scoreData = JSON.stringify({
               userId,
               score: message.data.score,
               cluesRevealed: message.data.cluesRevealed,
               guesses: message.data.guesses,
+              solved,
               completedAt: new Date().toISOString(),
             });
             await context.redis.set(`score:${context.postId}:${userId}`, scoreData);
@@ -402,20 +463,32 @@ Devvit.addCustomPostType({
             const stats = rawStats ? JSON.parse(rawStats) : {
               totalScore: 0, solves: 0,
               clue1: 0, clue2: 0, clue3: 0,
-              totalGuesses: 0,
+              totalGuesses: 0, giveUps: 0,
             };
-            stats.solves += 1;
-            stats.totalScore += message.data.score;
-            stats.totalGuesses += message.data.guesses.length;
-            const clueKey = `clue${message.data.cluesRevealed}` as keyof typeof stats;
-            if (clueKey in stats) stats[clueKey] += 1;
+            if (solved) {
+              stats.solves += 1;
+              stats.totalScore += message.data.score;
+              stats.totalGuesses += message.data.guesses.length;
+              const clueKey = `clue${message.data.cluesRevealed}`;
+              stats[clueKey] = (stats[clueKey] ?? 0) + 1;
+            } else {
+              stats.giveUps = (stats.giveUps ?? 0) + 1;
+            }
             await context.redis.set(statsKey, JSON.stringify(stats));
 
-            // Add to leaderboard (sorted set)
-            await context.redis.zAdd(`leaderboard:${context.postId}`, {
-              member: userId,
-              score: message.data.score,
-            });
+            // Solves and give-ups per puzzle id, across posts (for estimating difficulty)
+            // Quick Play games opened from a post played some other puzzle, so they don't count
+            if (puzzleData && message.data.mode !== 'quickplay') {
+              await context.redis.hIncrBy('solverates', `${puzzleData.id}:${solved ? 'solves' : 'giveUps'}`, 1);
+            }
+
+            // Add to leaderboard (sorted set) — only solves rank
+            if (solved) {
+              await context.redis.zAdd(`leaderboard:${context.postId}`, {
+                member: userId,
+                score: message.data.score,
+              });
+            }
 
             // Update global user stats (across all puzzles)
             const userStatsKey = `userstats:${userId}`;
@@ -426,14 +499,31 @@ Devvit.addCustomPostType({
               clue1: 0, clue2: 0, clue3: 0,
             };
             userStats.played += 1;
-            userStats.won += 1;
-            userStats.totalScore += message.data.score;
-            userStats.currentStreak += 1;
-            if (userStats.currentStreak > userStats.maxStreak) {
-              userStats.maxStreak = userStats.currentStreak;
+            if (solved) {
+              userStats.won += 1;
+              userStats.totalScore += message.data.score;
+              const userClueKey = `clue${message.data.cluesRevealed}`;
+              userStats[userClueKey] = (userStats[userClueKey] ?? 0) + 1;
+            }
+
+            // Streaks follow the daily: only a daily post's own puzzle counts
+            // (not Quick Play games opened from it), once per puzzle day
+            const isDailyGame = puzzleData?.author === 'CluesWord Bot' && message.data.mode !== 'quickplay';
+            if (isDailyGame) {
+              const today = DayClock.getDayKey();
+              if (!solved) {
+                // Giving up breaks the streak
+                userStats.currentStreak = 0;
+                userStats.lastStreakDay = today;
+              } else if (userStats.lastStreakDay !== today) {
+                // Stats saved before lastStreakDay existed carry on their streak
+                const continues = userStats.lastStreakDay === undefined ||
+                  userStats.lastStreakDay === DayClock.addDays(today, -1);
+                userStats.currentStreak = continues ? userStats.currentStreak + 1 : 1;
+                userStats.lastStreakDay = today;
+                userStats.maxStreak = Math.max(userStats.maxStreak, userStats.currentStreak);
+              }
             }
-            const userClueKey = `clue${message.data.cluesRevealed}` as keyof typeof userStats;
-            if (userClueKey in userStats) userStats[userClueKey] += 1;
             await context.redis.set(userStatsKey, JSON.stringify(userStats));
 
             // Send updated stats back to webview
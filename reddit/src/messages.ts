@@ -12,10 +12,10 @@ export type WebViewMessage =
   | { type: 'getGameState'; data: { key: string } }
   | { type: 'setGameState'; data: { key: string; value: string } }
   | { type: 'removeGameState'; data: { key: string } }
-  | { type: 'saveScore'; data: { postId: string; score: number; cluesRevealed: number; guesses: string[] } }
+  | { type: 'saveScore'; data: { postId: string; score: number; cluesRevealed: number; guesses: string[]; solved: boolean; mode?: string } }
   | { type: 'shareAsComment'; data: { text: string } }
   | { type: 'requestQuickPlayPuzzle'; data: { category: string } }
-  | { type: 'createPuzzle'; data: { word: string; category: string; clue1: string; clue2: string; clue3: string; factoid: string } };
+  | { type: 'createPuzzle'; data: { word: string; category: string; clues: string[]; factoid: string } };
 
 // === Devvit → Webview ===
 
@@ -29,14 +29,20 @@ export type DevvitMessage =
 
 // === Shared types ===
 
+// Clues per puzzle (same limits as Utils.MIN_CLUES / Utils.MAX_CLUES in js/utils.js)
+export const MIN_CLUES = 2;
+export const MAX_CLUES = 6;
+
 export interface PuzzleData {
   [key: string]: unknown; // Index signature for JSONValue compatibility
   id: string;
   category: string;
   word: string;
-  clues: [string, string, string];
+  clues: string[]; // MIN_CLUES to MAX_CLUES, vaguest first
   factoid?: string;
+  difficulty?: string; // 'easy' | 'medium' | 'hard' when rated (scripts/estimate-difficulty.cjs)
   author?: string;
+  dayNumber?: number; // Daily posts: the day they went up (DayClock.getDayNumber)
 }
 
 /**
@@ -9,9 +9,19 @@ const Analytics = (function() {
     trackEvent: noop,
     trackGuess: noop,
     trackInvalidGuess: noop,
+    trackPuzzleLinkOpened: noop,
+    trackPuzzleCreated: noop,
+    trackChallenge: noop,
     trackPuzzleCompleted: noop,
+    trackPuzzleGivenUp: noop,
+    trackHintUsed: noop,
+    trackSpeedRunCompleted: noop,
+    trackGauntletCompleted: noop,
     trackCategorySelect: noop,
     trackShare: noop,
+    trackSettingChange: noop,
     trackModeChange: noop,
+    trackArchiveDaySelect: noop,
+    trackDataTransfer: noop,
   };
 })();
@@ -0,0 +1,154 @@
+/**
+ * CluesWord - Answer Codec Module
+ * Keeps answers out of plain sight in the shipped puzzle data
+ *
+ * scripts/build-puzzle-data.cjs writes data/encoded/, where each puzzle's
+ * `word` becomes `answer` (its letters XORed with a keystream derived from
+ * the puzzle id, as hex) plus `pattern` (its shape, e.g. "___ _____"), and
+ * `factoid`, which often names the answer, is sealed the same way.
+ *
+ * GameState checks guesses against the encoded letters and only decodes the
+ * word once the puzzle is finished. This is spoiler protection, not
+ * encryption: the key comes from the puzzle id, which ships alongside it.
+ *
+ * Shared by the web app, the Reddit webview and the scripts.
+ */
+
+const AnswerCodec = (function() {
+  'use strict';
+
+  // Stands for a letter in a pattern; spaces and hyphens are kept as-is
+  const PATTERN_LETTER = '_';
+
+  /**
+   * Key byte for one character position of a puzzle
+   */
+  function keyAt(puzzleId, index) {
+    return parseInt(Utils.hashString(`${puzzleId}|${index}`).slice(-2), 16);
+  }
+
+  /**
+   * XOR each character (all below 256) with the keystream, as hex pairs
+   */
+  function toHex(text, puzzleId) {
+    return text.split('')
+      .map((char, i) => (char.charCodeAt(0) ^ keyAt(puzzleId, i)).toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  function fromHex(hex, puzzleId) {
+    let text = '';
+    for (let i = 0; i < hex.length / 2; i++) {
+      text += String.fromCharCode(parseInt(hex.substr(i * 2, 2), 16) ^ keyAt(puzzleId, i));
+    }
+    return text;
+  }
+
+  /**
+   * Letters of a word as guessed: uppercase, no spaces or hyphens
+   */
+  function normalize(word) {
+    return word.toUpperCase().replace(/[\s-]/g, '');
+  }
+
+  /**
+   * Seal any text (percent-encoded first, so non-ASCII survives)
+   */
+  function seal(text, puzzleId) {
+    return toHex(encodeURIComponent(text), puzzleId);
+  }
+
+  function unseal(hex, puzzleId) {
+    return decodeURIComponent(fromHex(hex, puzzleId));
+  }
+
+  /**
+   * Check if a puzzle carries an encoded answer rather than `word`
+   */
+  function isEncoded(puzzle) {
+    return typeof puzzle.answer === 'string';
+  }
+
+  /**
+   * Encode a plain puzzle, keeping its field order
+   */
+  function encodePuzzle(puzzle) {
+    const encoded = {};
+    Object.entries(puzzle).forEach(([key, value]) => {
+      if (key === 'word') {
+        encoded.answer = toHex(normalize(value), puzzle.id);
+        encoded.pattern = value.toUpperCase().replace(/[^\s-]/g, PATTERN_LETTER);
+      } else if (key === 'factoid') {
+        encoded.factoid = seal(value, puzzle.id);
+      } else {
+        encoded[key] = value;
+      }
+    });
+    return encoded;
+  }
+
+  /**
+   * Decode an encoded puzzle back to `word` (uppercase) and a plain factoid
+   * Plain puzzles are returned unchanged
+   */
+  function decodePuzzle(puzzle) {
+    if (!isEncoded(puzzle)) return puzzle;
+
+    const letters = fromHex(puzzle.answer, puzzle.id).split('');
+    const decoded = {};
+    Object.entries(puzzle).forEach(([key, value]) => {
+      if (key === 'answer') {
+        decoded.word = puzzle.pattern.replace(new RegExp(PATTERN_LETTER, 'g'), () => letters.shift());
+      } else if (key === 'factoid') {
+        decoded.factoid = unseal(value, puzzle.id);
+      } else if (key !== 'pattern') {
+        decoded[key] = value;
+      }
+    });
+    return decoded;
+  }
+
+  /**
+   * Get a puzzle's shape with letters hidden, e.g. "___ _____"
+   */
+  function getPattern(puzzle) {
+    if (isEncoded(puzzle)) return puzzle.pattern;
+    return puzzle.word.toUpperCase().replace(/[^\s-]/g, PATTERN_LETTER);
+  }
+
+  /**
+   * Number of letters in an encoded answer
+   */
+  function getLength(puzzle) {
+    return puzzle.answer.length / 2;
+  }
+
+  /**
+   * Check if an encoded answer has a letter at a position, without decoding it
+   */
+  function hasLetterAt(puzzle, letter, index) {
+    if (index >= getLength(puzzle)) return false;
+    return parseInt(puzzle.answer.substr(index * 2, 2), 16) === (letter.charCodeAt(0) ^ keyAt(puzzle.id, index));
+  }
+
+  /**
+   * Decode the one letter at a position (for letters the player has already found)
+   */
+  function letterAt(puzzle, index) {
+    return String.fromCharCode(parseInt(puzzle.answer.substr(index * 2, 2), 16) ^ keyAt(puzzle.id, index));
+  }
+
+  // Public API
+  return {
+    normalize,
+    seal,
+    unseal,
+    isEncoded,
+    encodePuzzle,
+    decodePuzzle,
+    getPattern,
+    getLength,
+    hasLetterAt,
+    letterAt
+  };
+})();
@@ -40,6 +40,66 @@ const App = (function() {
     parent.postMessage({ type: 'webViewReady' }, '*');
   }
 
+  /**
+   * Set up the game from Devvit initialData
+   */
+  function handleInitialData(data) {
+    const { username, puzzle, mode, postId: pid, userStats } = data;
+    redditUsername = username || 'anonymous';
+    postId = pid || '';
+    currentMode = mode || 'quickplay';
+    customPuzzle = puzzle || null;
+
+    // Apply global user stats from Redis
+    if (userStats) {
+      StorageManager.setStats(userStats);
+    }
+
+    // Initialize UI controller
+    UIController.initialize({
+      onGuessSubmit: handleGuessSubmit,
+      onModeChange: handleModeChange,
+      onCategorySelect: handleCategorySelect,
+      onQuickPlayRequest: handleQuickPlayRequest,
+      onGiveUp: handleGiveUp,
+      onRevealLetter: handleRevealLetter,
+      onSettingChange: handleSettingChange,
+      onResetPlayed: handleResetPlayed
+    });
+
+    // Solve times leave out time spent with the app hidden
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    // Apply Reddit-specific UI tweaks
+    setupRedditUI(mode, puzzle);
+
+    // Hide loading, show game
+    const loadingOverlay = document.getElementById('loading-overlay');
+    const categoryDisplay = document.getElementById('category-display');
+    const gameBoard = document.getElementById('game-board-main');
+    if (loadingOverlay) loadingOverlay.style.display = 'none';
+    if (categoryDisplay) categoryDisplay.style.display = '';
+    if (gameBoard) gameBoard.style.display = '';
+
+    if (mode === 'create') {
+      showCreateForm();
+    } else if (mode === 'custom' && puzzle) {
+      startCustomPuzzle(puzzle);
+    } else {
+      // Quick play — hide game board until category is picked
+      const gameBoard = document.getElementById('game-board-main');
+      const categoryDisplay = document.getElementById('category-display');
+      if (gameBoard) gameBoard.style.display = 'none';
+      if (categoryDisplay) categoryDisplay.style.display = 'none';
+      // Make category modal unclosable — must pick a category
+      lockCategoryModal(true);
+      UIController.showCategorySelector();
+    }
+
+    // Preload categories in background
+    loadAllCategories();
+  }
+
   /**
    * Handle messages from Devvit backend
    */
@@ -49,53 +109,8 @@ const App = (function() {
 
     switch (message.type) {
       case 'initialData': {
-        const { username, puzzle, mode, postId: pid, userStats } = message.data;
-        redditUsername = username || 'anonymous';
-        postId = pid || '';
-        currentMode = mode || 'quickplay';
-        customPuzzle = puzzle || null;
-
-        // Apply global user stats from Redis
-        if (userStats) {
-          StorageManager.setStats(userStats);
-        }
-
-        // Initialize UI controller
-        UIController.initialize({
-          onGuessSubmit: handleGuessSubmit,
-          onModeChange: handleModeChange,
-          onCategorySelect: handleCategorySelect,
-          onQuickPlayRequest: handleQuickPlayRequest
-        });
-
-        // Apply Reddit-specific UI tweaks
-        setupRedditUI(mode, puzzle);
-
-        // Hide loading, show game
-        const loadingOverlay = document.getElementById('loading-overlay');
-        const categoryDisplay = document.getElementById('category-display');
-        const gameBoard = document.getElementById('game-board-main');
-        if (loadingOverlay) loadingOverlay.style.display = 'none';
-        if (categoryDisplay) categoryDisplay.style.display = '';
-        if (gameBoard) gameBoard.style.display = '';
-
-        if (mode === 'create') {
-          showCreateForm();
-        } else if (mode === 'custom' && puzzle) {
-          startCustomPuzzle(puzzle);
-        } else {
-          // Quick play — hide game board until category is picked
-          const gameBoard = document.getElementById('game-board-main');
-          const categoryDisplay = document.getElementById('category-display');
-          if (gameBoard) gameBoard.style.display = 'none';
-          if (categoryDisplay) categoryDisplay.style.display = 'none';
-          // Make category modal unclosable — must pick a category
-          lockCategoryModal(true);
-          UIController.showCategorySelector();
-        }
-
-        // Preload categories in background
-        loadAllCategories();
+        // Saved data has to be loaded and migrated before the game reads it
+        StorageManager.migrate().then(() => handleInitialData(message.data));
         break;
       }
       case 'userStats': {
@@ -135,11 +150,13 @@ const App = (function() {
               }
             }
           }
-          // Clear form fields
+          // Clear form fields and drop added clues
           ['create-word','create-clue1','create-clue2','create-clue3','create-factoid'].forEach(id => {
             const el = document.getElementById(id);
             if (el) el.value = '';
           });
+          getCreateClueInputs().slice(Utils.DEFAULT_CLUES).forEach(input => input.parentNode.remove());
+          updateAddClueButton();
         } else {
           if (successEl) successEl.style.display = 'none';
           if (errEl) { errEl.textContent = msg; errEl.style.display = ''; }
@@ -179,29 +196,29 @@ const App = (function() {
   }
 
   /**
-   * Build share text from current game state
+   * Build share text from current game state (see ShareCard)
+   * Blank lines between lines, so the grid keeps its rows in a Reddit comment
    */
   function buildShareText() {
     const puzzle = GameState.getPuzzle();
     const state = GameState.getState();
     if (!puzzle || !state) return null;
 
-    const tries = state.guesses.length;
-    const target = puzzle.word.toUpperCase().replace(/[\s-]/g, '');
-
-    // Build emoji grid
-    const guessGrid = state.guesses.map(guess => {
-      const evaluation = GameState.evaluateGuess(guess, target);
-      return evaluation.map(e => {
-        switch (e.status) {
-          case 'correct': return '🟩';
-          case 'wrongPosition': return '🟨';
-          default: return '⬜';
-        }
-      }).join('');
-    }).join('\n\n');
+    const card = ShareCard.describe(puzzle, state, {
+      dayNumber: getDayNumber(puzzle),
+      elapsedMs: GameState.getElapsedMs()
+    });
+    return ShareCard.getText(card, { spaced: true });
+  }
 
-    return `CluesWord 🧩\n\n📍${state.cluesRevealed}/3 🎯${tries} ⭐${state.score}\n\n${guessGrid}`;
+  /**
+   * Day number of a daily post's puzzle (posted by the app as 'CluesWord Bot'),
+   * or null for community puzzles and quick play
+   * Posts store the day they went up; older ones count from today
+   */
+  function getDayNumber(puzzle) {
+    if (currentMode !== 'custom' || puzzle.author !== 'CluesWord Bot') return null;
+    return Number.isInteger(puzzle.dayNumber) ? puzzle.dayNumber : DayClock.getDayNumber();
   }
 
   /**
@@ -265,7 +282,7 @@ const App = (function() {
     const basename = CATEGORY_FILES[category];
     if (!basename) return [];
     try {
-      const response = await fetch(`data/${basename}.json`);
+      const response = await fetch(`data/encoded/${basename}.json`);
       const puzzles = await response.json();
       quickPlayPuzzles[category] = puzzles;
       return puzzles;
@@ -276,10 +293,29 @@ const App = (function() {
   }
 
   /**
-   * Load all quick play categories
+   * Load a category's list of valid answers (for guess validation)
+   */
+  async function loadWordList(category) {
+    if (WordList.hasList(category)) return;
+    const basename = CATEGORY_FILES[category];
+    if (!basename) return;
+    try {
+      const response = await fetch(`data/categories/${basename}.json`);
+      WordList.setWords(category, await response.json());
+    } catch (error) {
+      console.error(`Failed to load ${category} word list:`, error);
+    }
+  }
+
+  /**
+   * Load all quick play categories and their word lists
    */
   async function loadAllCategories() {
-    await Promise.all(Object.keys(CATEGORY_FILES).map(loadCategory));
+    const categories = Object.keys(CATEGORY_FILES);
+    await Promise.all([
+      ...categories.map(loadCategory),
+      ...categories.map(loadWordList)
+    ]);
   }
 
   /**
@@ -316,6 +352,40 @@ const App = (function() {
     if (submitBtn) {
       submitBtn.addEventListener('click', handleCreateSubmit);
     }
+
+    const addClueBtn = document.getElementById('create-add-clue-btn');
+    if (addClueBtn) {
+      addClueBtn.addEventListener('click', addCreateClue);
+    }
+  }
+
+  function getCreateClueInputs() {
+    return Array.from(document.querySelectorAll('#create-clues input'));
+  }
+
+  /**
+   * Add another optional clue field (up to Utils.MAX_CLUES)
+   */
+  function addCreateClue() {
+    const inputs = getCreateClueInputs();
+    if (inputs.length >= Utils.MAX_CLUES) return;
+
+    // Copy the last field's look
+    const field = inputs[inputs.length - 1].parentNode.cloneNode(true);
+    const number = inputs.length + 1;
+    field.querySelector('label').textContent = `Clue ${number} (optional)`;
+    const input = field.querySelector('input');
+    input.id = `create-clue${number}`;
+    input.placeholder = 'Another, more specific hint...';
+    input.value = '';
+    document.getElementById('create-clues').appendChild(field);
+    input.focus();
+    updateAddClueButton();
+  }
+
+  function updateAddClueButton() {
+    const addClueBtn = document.getElementById('create-add-clue-btn');
+    if (addClueBtn) addClueBtn.style.display = getCreateClueInputs().length >= Utils.MAX_CLUES ? 'none' : '';
   }
 
   /**
@@ -324,9 +394,9 @@ const App = (function() {
   function handleCreateSubmit() {
     const word = (document.getElementById('create-word').value || '').trim();
     const category = document.getElementById('create-category').value;
-    const clue1 = (document.getElementById('create-clue1').value || '').trim();
-    const clue2 = (document.getElementById('create-clue2').value || '').trim();
-    const clue3 = (document.getElementById('create-clue3').value || '').trim();
+    // Clues in order, skipping optional ones left blank
+    const clueValues = getCreateClueInputs().map(input => (input.value || '').trim());
+    const clues = clueValues.filter(Boolean);
     const factoid = (document.getElementById('create-factoid').value || '').trim();
 
     const errEl = document.getElementById('create-error');
@@ -334,8 +404,8 @@ const App = (function() {
     if (successEl) successEl.style.display = 'none';
 
     // Validate
-    if (!word || !clue1 || !clue2 || !clue3) {
-      if (errEl) { errEl.textContent = 'Please fill in the word and all 3 clues.'; errEl.style.display = ''; }
+    if (!word || clueValues.slice(0, Utils.MIN_CLUES).some(clue => !clue)) {
+      if (errEl) { errEl.textContent = `Please fill in the word and at least the first ${Utils.MIN_CLUES} clues.`; errEl.style.display = ''; }
       return;
     }
     if (word.replace(/[\s-]/g, '').length < 2) {
@@ -355,7 +425,7 @@ const App = (function() {
 
     parent.postMessage({
       type: 'createPuzzle',
-      data: { word, category, clue1, clue2, clue3, factoid }
+      data: { word, category, clues, factoid }
     }, '*');
   }
 
@@ -365,17 +435,17 @@ const App = (function() {
   function startCustomPuzzle(puzzle) {
     currentMode = 'custom';
 
-    // Check for saved state (uses daily state slot for custom puzzle persistence)
-    const savedState = StorageManager.getDailyState();
+    // Check for saved state (the post's own slot)
+    const savedState = StorageManager.getCustomState();
 
     // Initialize game state
-    const state = GameState.initialize(puzzle, savedState, true);
+    const state = GameState.initialize(puzzle, savedState, 'custom');
 
     // Render game
     UIController.renderGame(puzzle, state);
 
-    // If already completed, show results
-    if (state.status === 'won') {
+    // If already completed (won or given up), show results
+    if (state.status !== 'in-progress') {
       setTimeout(() => {
         UIController.showResultsModal(puzzle, {
           cluesRevealed: state.cluesRevealed,
@@ -387,8 +457,9 @@ const App = (function() {
 
   /**
    * Start quick play mode
+   * difficulty: only puzzles rated this (Utils.DIFFICULTIES), or null for any
    */
-  async function startQuickPlayMode(category) {
+  async function startQuickPlayMode(category, difficulty = null) {
     category = category || 'random';
     currentMode = 'quickplay';
     selectedCategory = category;
@@ -400,42 +471,32 @@ const App = (function() {
       await loadCategory(category);
     }
 
-    // Build puzzle pool
-    let available = [];
-    const playedIds = StorageManager.getPlayedPuzzles() || [];
-
+    // Pools by category (just the one unless random)
+    const pools = {};
     if (category === 'random') {
-      Object.values(quickPlayPuzzles).forEach(categoryPuzzles => {
-        if (Array.isArray(categoryPuzzles)) {
-          available.push(...categoryPuzzles);
-        }
+      Object.entries(quickPlayPuzzles).forEach(([name, categoryPuzzles]) => {
+        if (Array.isArray(categoryPuzzles)) pools[name] = categoryPuzzles;
       });
-    } else {
-      const categoryPuzzles = quickPlayPuzzles[category];
-      if (Array.isArray(categoryPuzzles)) {
-        available = [...categoryPuzzles];
-      }
-    }
-
-    // Prefer unplayed puzzles
-    const unplayed = available.filter(p => !playedIds.includes(p.id));
-    const puzzlePool = unplayed.length > 0 ? unplayed : available;
-
-    if (!puzzlePool || puzzlePool.length === 0) {
-      UIController.showError('No puzzles available in this category');
-      return;
+    } else if (Array.isArray(quickPlayPuzzles[category])) {
+      pools[category] = quickPlayPuzzles[category];
     }
 
-    // Pick a random puzzle
-    const puzzle = Utils.getRandomItem(puzzlePool);
+    // Unplayed first, categories evenly in random mode, never the same puzzle twice running
+    const current = GameState.getPuzzle();
+    const puzzle = PuzzlePicker.pick(pools, StorageManager.getPlayedPuzzles() || [], {
+      exclude: current ? current.id : null,
+      difficulty
+    });
 
     if (!puzzle) {
-      UIController.showError('Failed to load puzzle');
+      UIController.showError(difficulty
+        ? `No ${difficulty} puzzles available in this category`
+        : 'No puzzles available in this category');
       return;
     }
 
     // Initialize new game state
-    const state = GameState.initialize(puzzle, null, false);
+    const state = GameState.initialize(puzzle, null, 'quickplay');
 
     // Render game
     UIController.renderGame(puzzle, state);
@@ -453,15 +514,16 @@ const App = (function() {
 
   /**
    * Handle category selection
+   * (runType is web only; Reddit always plays one puzzle)
    */
-  async function handleCategorySelect(category) {
+  async function handleCategorySelect(category, runType, difficulty = null) {
     lockCategoryModal(false);
     // Show game board now that a category is picked
     const gameBoard = document.getElementById('game-board-main');
     const categoryDisplay = document.getElementById('category-display');
     if (gameBoard) gameBoard.style.display = '';
     if (categoryDisplay) categoryDisplay.style.display = '';
-    await startQuickPlayMode(category);
+    await startQuickPlayMode(category, difficulty);
   }
 
   /**
@@ -487,17 +549,89 @@ const App = (function() {
     UIController.updateAfterGuess(result, puzzle);
 
     // If solved, send score to Devvit for leaderboard
-    if (result.isCorrect && postId) {
-      parent.postMessage({
-        type: 'saveScore',
-        data: {
-          postId: postId,
-          score: result.score,
-          cluesRevealed: result.cluesRevealed,
-          guesses: GameState.getState().guesses
-        }
-      }, '*');
+    if (result.isCorrect) {
+      sendScore(result, true);
+    }
+  }
+
+  /**
+   * Handle a letter hint bought with points
+   */
+  function handleRevealLetter() {
+    const result = GameState.revealLetter();
+
+    if (!result.success) {
+      UIController.showError(result.error);
+      return;
+    }
+
+    UIController.updateAfterHint(result, GameState.getPuzzle());
+  }
+
+  /**
+   * Handle give up — reveal the answer and record a loss
+   */
+  function handleGiveUp() {
+    const result = GameState.giveUp();
+
+    if (!result.success) {
+      UIController.showError(result.error);
+      return;
     }
+
+    UIController.updateAfterGiveUp(result, GameState.getPuzzle());
+    sendScore(result, false);
+  }
+
+  /**
+   * Handle a settings toggle
+   */
+  function handleSettingChange(key, value) {
+    const settings = StorageManager.getSettings();
+    settings[key] = value;
+    StorageManager.saveSettings(settings);
+
+    if (key === 'hardMode' && !GameState.setHardMode(value) && value) {
+      UIController.showSettingsNote('Hard mode will apply from your next puzzle');
+    }
+    UIController.updateHintButton();
+  }
+
+  /**
+   * Forget which puzzles were played, so Quick Play serves every puzzle as new
+   */
+  function handleResetPlayed() {
+    StorageManager.clearPlayedPuzzles();
+    UIController.showSettingsNote('Played puzzles reset — Quick Play starts fresh');
+  }
+
+  /**
+   * Pause the game's clock while the webview is hidden
+   */
+  function handleVisibilityChange() {
+    if (document.visibilityState === 'hidden') {
+      GameState.pauseTimer();
+    } else {
+      GameState.resumeTimer();
+    }
+  }
+
+  /**
+   * Send a finished game to Devvit (leaderboard, puzzle + user stats)
+   */
+  function sendScore(result, solved) {
+    if (!postId) return;
+    parent.postMessage({
+      type: 'saveScore',
+      data: {
+        postId: postId,
+        score: result.score,
+        cluesRevealed: result.cluesRevealed,
+        guesses: GameState.getState().guesses,
+        solved: solved,
+        mode: currentMode
+      }
+    }, '*');
   }
 
   // Start app when DOM is ready
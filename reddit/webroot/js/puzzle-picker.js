@@ -0,0 +1,82 @@
+/**
+ * CluesWord - Puzzle Picker Module
+ * Chooses the next Quick Play puzzle
+ *
+ * - Random mode picks a category first, evenly, so big categories don't
+ *   crowd out small ones
+ * - Within a category, unplayed puzzles come first (picked at random)
+ * - Once a category is exhausted, the puzzle played longest ago comes back
+ * - A difficulty narrows every category to puzzles rated that difficulty
+ *
+ * Randomness comes from an injectable source, so createRandom(seed) gives
+ * the same picks every time (for tests and reproducing reports).
+ *
+ * Shared by the web app and the Reddit webview.
+ */
+
+const PuzzlePicker = (function() {
+  'use strict';
+
+  /**
+   * Seeded random source (mulberry32): returns a function giving [0, 1)
+   */
+  function createRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  function randomItem(array, random) {
+    return array[Math.floor(random() * array.length)];
+  }
+
+  /**
+   * Pick the next puzzle
+   * pools: { category: [puzzles] } to choose from (one entry for a single category)
+   * played: puzzle ids played so far, least recently played first
+   * Options:
+   * - exclude: a puzzle id to avoid if anything else is left (the one just played)
+   * - difficulty: only puzzles rated this (one of Utils.DIFFICULTIES); null for any
+   * - random: random source, defaults to Math.random
+   * Returns a puzzle, or null if every pool is empty (or has none of that difficulty)
+   */
+  function pick(pools, played = [], { exclude = null, difficulty = null, random = Math.random } = {}) {
+    const playedOrder = new Map(played.map((id, i) => [id, i]));
+
+    const candidates = {};
+    Object.entries(pools).forEach(([category, puzzles]) => {
+      const rated = (puzzles || []).filter(p => !difficulty || p.difficulty === difficulty);
+      const usable = rated.filter(p => p.id !== exclude);
+      const list = usable.length > 0 ? usable : rated;
+      if (list.length > 0) candidates[category] = list;
+    });
+
+    const categories = Object.keys(candidates);
+    if (categories.length === 0) return null;
+
+    // Even odds per category, among those with something unplayed if any do
+    const hasUnplayed = category => candidates[category].some(p => !playedOrder.has(p.id));
+    const fresh = categories.filter(hasUnplayed);
+    const category = randomItem(fresh.length > 0 ? fresh : categories, random);
+
+    const unplayed = candidates[category].filter(p => !playedOrder.has(p.id));
+    if (unplayed.length > 0) {
+      return randomItem(unplayed, random);
+    }
+
+    // Everything played: least recently played first
+    return candidates[category].reduce((oldest, p) =>
+      (playedOrder.get(p.id) < playedOrder.get(oldest.id) ? p : oldest));
+  }
+
+  // Public API
+  return {
+    createRandom,
+    pick
+  };
+})();
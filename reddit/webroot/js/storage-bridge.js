@@ -7,7 +7,7 @@
  *
  * Since the web game logic calls StorageManager synchronously,
  * we use a local cache that syncs with Redis in the background.
- * The cache is pre-populated from Redis on init via initialData.
+ * The cache is pre-populated from Redis by migrate() at startup.
  */
 
 const StorageManager = (function() {
@@ -21,6 +21,9 @@ const StorageManager = (function() {
   // Pending read callbacks keyed by request key
   const pendingReads = {};
 
+  // How long startup waits for Redis before going ahead without migrating
+  const PREFETCH_TIMEOUT_MS = 3000;
+
   /**
    * Send a message to Devvit backend
    */
@@ -39,7 +42,8 @@ const StorageManager = (function() {
       if (message.type === 'gameStateResponse') {
         const { key, value } = message.data;
         if (value !== null) {
-          cache[key] = JSON.parse(value);
+          const parsed = parseStored(key, value);
+          if (parsed !== null) cache[key] = parsed;
         }
         // Resolve any pending reads
         if (pendingReads[key]) {
@@ -50,6 +54,23 @@ const StorageManager = (function() {
     });
   }
 
+  /**
+   * Parse a value from Redis
+   * Corrupted values are moved to `<key>_corrupt` and read as null
+   */
+  function parseStored(key, raw) {
+    try {
+      const value = JSON.parse(raw);
+      if (StorageSchema.isValidValue(key, value)) return value;
+    } catch (e) {
+      // Falls through to recovery
+    }
+    console.warn(`StorageManager: ${key} was unreadable and has been reset`);
+    sendMessage({ type: 'setGameState', data: { key: `${key}_corrupt`, value: raw } });
+    remove(key);
+    return null;
+  }
+
   initListener();
 
   // ─── Core get/set (cache-backed) ───
@@ -80,15 +101,36 @@ const StorageManager = (function() {
   /**
    * Request a value from Redis (async, updates cache when response arrives)
    */
-  function requestFromRedis(key) {
+  function requestFromRedis(key, callback) {
+    if (callback) {
+      (pendingReads[key] = pendingReads[key] || []).push(callback);
+    }
     sendMessage({ type: 'getGameState', data: { key } });
   }
 
   /**
    * Pre-populate cache from Redis for all known keys
+   * Resolves true once every key has answered, false on timeout
    */
   function prefetchAll() {
-    Object.values(KEYS).forEach(key => requestFromRedis(key));
+    const reads = Object.values(KEYS).map(key => new Promise(resolve => requestFromRedis(key, resolve)));
+    const timeout = new Promise(resolve => setTimeout(() => resolve(false), PREFETCH_TIMEOUT_MS));
+    return Promise.race([Promise.all(reads).then(() => true), timeout]);
+  }
+
+  /**
+   * Load saved data and bring it up to the current schema (see js/storage-schema.js)
+   * Call once at startup, before anything reads storage
+   */
+  function migrate() {
+    return prefetchAll().then(loaded => {
+      // Migrating a partly loaded cache could skip keys for good, so retry next time
+      if (!loaded) {
+        console.warn('StorageManager: Redis did not answer in time, skipping migrations');
+        return [];
+      }
+      return StorageSchema.migrate({ get, set, remove }, 'reddit');
+    });
   }
 
   // ─── Domain methods (same API as web StorageManager) ───
@@ -101,11 +143,25 @@ const StorageManager = (function() {
   function saveQuickPlayState(state) { return set(KEYS.QUICKPLAY_STATE, state); }
   function clearQuickPlayState() { return remove(KEYS.QUICKPLAY_STATE); }
 
+  function getArchiveState() { return get(KEYS.ARCHIVE_STATE); }
+  function saveArchiveState(state) { return set(KEYS.ARCHIVE_STATE, state); }
+  function clearArchiveState() { return remove(KEYS.ARCHIVE_STATE); }
+
+  // Each post's custom puzzle lives in that post's daily slot
+  function getCustomState() { return getDailyState(); }
+  function saveCustomState(state) { return saveDailyState(state); }
+
+  // Reddit keeps one combined stats object mirroring the server-side userstats,
+  // so the mode argument web callers pass to getStats/updateStats is ignored here
   function getStats() {
     const defaultStats = {
       played: 0, won: 0, currentStreak: 0, maxStreak: 0,
       totalScore: 0, bestScore: 0, lastPlayedDate: null,
-      clueDistribution: { 1: 0, 2: 0, 3: 0 }, categoryStats: {}
+      clueDistribution: { 1: 0, 2: 0, 3: 0 }, categoryStats: {},
+      hardMode: {
+        played: 0, won: 0, totalScore: 0, bestScore: 0,
+        clueDistribution: { 1: 0, 2: 0, 3: 0 }
+      }
     };
     const stats = get(KEYS.STATS);
     return stats ? { ...defaultStats, ...stats } : defaultStats;
@@ -123,36 +179,44 @@ const StorageManager = (function() {
     stats.totalScore = redisStats.totalScore || 0;
     stats.currentStreak = redisStats.currentStreak || 0;
     stats.maxStreak = redisStats.maxStreak || 0;
-    stats.clueDistribution = {
-      1: redisStats.clue1 || 0,
-      2: redisStats.clue2 || 0,
-      3: redisStats.clue3 || 0,
-    };
+    stats.clueDistribution = {};
+    for (let i = 1; i <= Utils.MAX_CLUES; i++) {
+      // Keys past 3 only appear once a longer puzzle is solved
+      if (i <= Utils.DEFAULT_CLUES || redisStats[`clue${i}`]) {
+        stats.clueDistribution[i] = redisStats[`clue${i}`] || 0;
+      }
+    }
     cache[KEYS.STATS] = stats;
   }
 
-  function updateStats(cluesUsed, score, category, won = true) {
+  function addToDistribution(distribution, cluesUsed) {
+    if (Number.isInteger(cluesUsed) && cluesUsed >= 1 && cluesUsed <= Utils.MAX_CLUES) {
+      distribution[cluesUsed] = (distribution[cluesUsed] || 0) + 1;
+    }
+  }
+
+  // Streaks aren't counted here: the Devvit app counts them (daily posts only,
+  // not Quick Play) and they arrive through setStats after each saveScore
+  function updateStats(cluesUsed, score, category, won = true, hardMode = false) {
     const stats = getStats();
     const today = Utils.getDateString();
 
     stats.played += 1;
+    if (hardMode) {
+      const bucket = stats.hardMode;
+      bucket.played += 1;
+      if (won) {
+        bucket.won += 1;
+        bucket.totalScore += score;
+        bucket.bestScore = Math.max(bucket.bestScore, score);
+        addToDistribution(bucket.clueDistribution, cluesUsed);
+      }
+    }
     if (won) {
       stats.won += 1;
       stats.totalScore += score;
       stats.bestScore = Math.max(stats.bestScore, score);
-      if (stats.clueDistribution[cluesUsed] !== undefined) {
-        stats.clueDistribution[cluesUsed] += 1;
-      }
-      if (stats.lastPlayedDate) {
-        if (Utils.isYesterday(stats.lastPlayedDate)) {
-          stats.currentStreak += 1;
-        } else if (!Utils.isToday(stats.lastPlayedDate)) {
-          stats.currentStreak = 1;
-        }
-      } else {
-        stats.currentStreak = 1;
-      }
-      stats.maxStreak = Math.max(stats.maxStreak, stats.currentStreak);
+      addToDistribution(stats.clueDistribution, cluesUsed);
       if (!stats.categoryStats[category]) {
         stats.categoryStats[category] = { played: 0, totalScore: 0 };
       }
@@ -164,14 +228,14 @@ const StorageManager = (function() {
     return stats;
   }
 
+  // Least recently played first; a replayed puzzle moves to the end
   function getPlayedPuzzles() { return get(KEYS.PLAYED_PUZZLES) || []; }
   function addPlayedPuzzle(puzzleId) {
-    const played = getPlayedPuzzles();
-    if (!played.includes(puzzleId)) {
-      played.push(puzzleId);
-      set(KEYS.PLAYED_PUZZLES, played);
-    }
+    const played = getPlayedPuzzles().filter(id => id !== puzzleId);
+    played.push(puzzleId);
+    set(KEYS.PLAYED_PUZZLES, played);
   }
+  function clearPlayedPuzzles() { remove(KEYS.PLAYED_PUZZLES); }
 
   function getCompletedDailies() { return get(KEYS.COMPLETED_DAILIES) || []; }
   function addCompletedDaily(puzzleId) {
@@ -182,8 +246,41 @@ const StorageManager = (function() {
     }
   }
 
+  // Append-only log of finished games (see js/storage-manager.js for the entry shape)
+  function addHistoryEntry(entry) {
+    const history = get(KEYS.HISTORY) || [];
+    history.push({ ...entry, finishedAt: new Date().toISOString() });
+    return set(KEYS.HISTORY, history);
+  }
+  function getHistory(filters = {}) {
+    return (get(KEYS.HISTORY) || []).filter(entry =>
+      (!filters.mode || entry.mode === filters.mode) &&
+      (!filters.category || entry.category === filters.category) &&
+      (!filters.status || entry.status === filters.status) &&
+      (!filters.from || entry.date >= filters.from) &&
+      (!filters.to || entry.date <= filters.to)
+    );
+  }
+  function getDailyResults() {
+    const results = {};
+    getHistory().forEach(entry => {
+      if ((entry.mode === 'daily' || entry.mode === 'archive') && !results[entry.date]) {
+        results[entry.date] = entry;
+      }
+    });
+    return results;
+  }
+  // Streaks are kept server-side on Reddit (userstats in Redis), without freezes
+  function getStreakInfo() {
+    const stats = getStats();
+    return {
+      currentStreak: stats.currentStreak, maxStreak: stats.maxStreak,
+      freezes: 0, freezeProgress: 0, frozenDays: []
+    };
+  }
+
   function getSettings() {
-    const defaultSettings = { soundEnabled: false };
+    const defaultSettings = { soundEnabled: false, hardMode: false, validateGuesses: true, timed: false };
     const settings = get(KEYS.SETTINGS);
     return settings ? { ...defaultSettings, ...settings } : defaultSettings;
   }
@@ -191,12 +288,15 @@ const StorageManager = (function() {
 
   return {
     get, set, remove, clearAll,
-    prefetchAll,
+    prefetchAll, migrate,
     getDailyState, saveDailyState, clearDailyState,
     getQuickPlayState, saveQuickPlayState, clearQuickPlayState,
+    getArchiveState, saveArchiveState, clearArchiveState,
+    getCustomState, saveCustomState,
     getStats, saveStats, setStats, updateStats,
-    getPlayedPuzzles, addPlayedPuzzle,
+    getPlayedPuzzles, addPlayedPuzzle, clearPlayedPuzzles,
     getCompletedDailies, addCompletedDaily,
+    addHistoryEntry, getHistory, getDailyResults, getStreakInfo,
     getSettings, saveSettings
   };
 })();
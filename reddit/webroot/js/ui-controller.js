@@ -10,14 +10,19 @@ const UIController = (function() {
   const elements = {
     // Header
     helpBtn: null,
+    settingsBtn: null,
     statsBtn: null,
 
     // Mode selector
     dailyModeBtn: null,
     quickplayModeBtn: null,
+    archiveModeBtn: null,
+    createModeBtn: null,
 
     // Category
     categoryName: null,
+    gameTimer: null,
+    runStatus: null,
 
     // Game board
     cluesContainer: null,
@@ -29,13 +34,19 @@ const UIController = (function() {
     // Input
     guessInput: null,
     submitBtn: null,
+    giveUpBtn: null,
+    hintBtn: null,
     errorMessage: null,
 
     // Modals
     helpModal: null,
+    settingsModal: null,
     statsModal: null,
     resultsModal: null,
     categoryModal: null,
+    archiveModal: null,
+    runModal: null,
+    createModal: null,
 
     // Results
     resultsTitle: null,
@@ -43,9 +54,26 @@ const UIController = (function() {
     resultsClues: null,
     resultsTries: null,
     resultsScore: null,
+    resultsTimeRow: null,
+    resultsTime: null,
     resultsStreak: null,
+    resultsFreezesRow: null,
+    resultsFreezes: null,
+    resultsRunRow: null,
+    resultsRunIcon: null,
+    resultsRun: null,
     resultsFactoid: null,
+    resultsChallenge: null,
+    challengeTitle: null,
+    challengeYouScore: null,
+    challengeYouDetail: null,
+    challengeYouGrid: null,
+    challengeThemScore: null,
+    challengeThemDetail: null,
+    challengeThemGrid: null,
     shareBtn: null,
+    shareImageBtn: null,
+    challengeBtn: null,
     quickplayBtn: null,
 
     // Stats
@@ -53,7 +81,67 @@ const UIController = (function() {
     statWon: null,
     statStreak: null,
     statMaxStreak: null,
-    statAvgScore: null
+    statAvgScore: null,
+    clueDistribution: null,
+    statFreezes: null,
+    streakFreezeStats: null,
+    statsTabs: null,
+    hardModeStats: null,
+    statHardMode: null,
+    recentGames: null,
+
+    // Player data export/import
+    exportBtn: null,
+    importBtn: null,
+    importFile: null,
+    importPreview: null,
+    importSummary: null,
+    importConfirmBtn: null,
+    importCancelBtn: null,
+    dataNote: null,
+    syncTransfer: null,
+    syncSendBtn: null,
+    syncCode: null,
+    syncReceiveForm: null,
+    syncCodeInput: null,
+
+    // Update available banner
+    updateBanner: null,
+    updateBtn: null,
+
+    // Settings
+    settingToggles: null,
+    settingsNote: null,
+    resetPlayedBtn: null,
+
+    // Archive
+    archiveMonth: null,
+    archivePrev: null,
+    archiveNext: null,
+    archiveGrid: null,
+    archiveSummary: null,
+
+    // Runs (speed runs and gauntlets)
+    runTypeInputs: null,
+    difficultyInputs: null,
+    runTitle: null,
+    runSummary: null,
+    runBestsTitle: null,
+    runBests: null,
+    runAgainBtn: null,
+
+    // Create a puzzle (web only)
+    createForm: null,
+    createWord: null,
+    createCategory: null,
+    createClues: null,
+    createAddClueBtn: null,
+    createFactoid: null,
+    createError: null,
+    createResult: null,
+    createLink: null,
+    createShareBtn: null,
+    createAnotherBtn: null
   };
 
   let currentWordLength = 0; // letters only (no spaces/hyphens)
@@ -62,6 +150,28 @@ const UIController = (function() {
   let onModeChange = null;
   let onCategorySelect = null;
   let onQuickPlayRequest = null;
+  let onGiveUp = null;
+  let onRevealLetter = null;
+  let onSettingChange = null;
+  let onResetPlayed = null;
+  let onArchiveSelect = null;
+  let onExport = null;
+  let onImportFile = null;
+  let onImportConfirm = null;
+  let onSyncSend = null;
+  let onSyncReceive = null;
+  let onUpdateAccept = null;
+  let onRunAgain = null;
+  let onCreatePuzzle = null;
+  let giveUpConfirmTimer = null;
+  let resetPlayedConfirmTimer = null;
+  let timerInterval = null;
+  let runProgress = null; // Speed run or gauntlet in progress (see setRunProgress)
+  let challenge = null; // Friend's result to compare against (see setChallenge)
+  let activeMode = 'daily';
+  let statsMode = 'daily'; // stats modal tab: 'daily', 'quickplay', 'archive', or 'custom'
+  let archiveDays = []; // [{ date, dayNumber, puzzleId, category, result, isToday }]
+  let archiveMonth = ''; // 'YYYY-MM' shown in the calendar
 
   /**
    * Initialize UI controller, cache DOM elements
@@ -74,6 +184,19 @@ const UIController = (function() {
     onModeChange = callbacks.onModeChange;
     onCategorySelect = callbacks.onCategorySelect;
     onQuickPlayRequest = callbacks.onQuickPlayRequest;
+    onGiveUp = callbacks.onGiveUp;
+    onRevealLetter = callbacks.onRevealLetter;
+    onSettingChange = callbacks.onSettingChange;
+    onResetPlayed = callbacks.onResetPlayed;
+    onArchiveSelect = callbacks.onArchiveSelect;
+    onExport = callbacks.onExport;
+    onImportFile = callbacks.onImportFile;
+    onImportConfirm = callbacks.onImportConfirm;
+    onSyncSend = callbacks.onSyncSend;
+    onSyncReceive = callbacks.onSyncReceive;
+    onUpdateAccept = callbacks.onUpdateAccept;
+    onRunAgain = callbacks.onRunAgain;
+    onCreatePuzzle = callbacks.onCreatePuzzle;
 
     // Set version in help modal
     if (elements.versionDisplay) {
@@ -86,10 +209,15 @@ const UIController = (function() {
    */
   function cacheElements() {
     elements.helpBtn = document.getElementById('help-btn');
+    elements.settingsBtn = document.getElementById('settings-btn');
     elements.statsBtn = document.getElementById('stats-btn');
     elements.dailyModeBtn = document.getElementById('daily-mode-btn');
     elements.quickplayModeBtn = document.getElementById('quickplay-mode-btn');
+    elements.archiveModeBtn = document.getElementById('archive-mode-btn');
+    elements.createModeBtn = document.getElementById('create-mode-btn');
     elements.categoryName = document.getElementById('category-name');
+    elements.gameTimer = document.getElementById('game-timer');
+    elements.runStatus = document.getElementById('run-status');
     elements.cluesContainer = document.getElementById('clues-container');
     elements.letterBoxes = document.getElementById('letter-boxes');
     elements.typingDots = document.getElementById('typing-dots');
@@ -97,26 +225,97 @@ const UIController = (function() {
     elements.wrongPositionLetters = document.getElementById('wrong-position-letters');
     elements.guessInput = document.getElementById('guess-input');
     elements.submitBtn = document.getElementById('submit-btn');
+    elements.giveUpBtn = document.getElementById('give-up-btn');
+    elements.hintBtn = document.getElementById('hint-btn');
     elements.errorMessage = document.getElementById('error-message');
     elements.helpModal = document.getElementById('help-modal');
     elements.versionDisplay = document.getElementById('version-display');
+    elements.settingsModal = document.getElementById('settings-modal');
     elements.statsModal = document.getElementById('stats-modal');
     elements.resultsModal = document.getElementById('results-modal');
     elements.categoryModal = document.getElementById('category-modal');
+    elements.archiveModal = document.getElementById('archive-modal');
+    elements.runModal = document.getElementById('run-modal');
+    elements.createModal = document.getElementById('create-modal');
     elements.resultsTitle = document.getElementById('results-title');
     elements.resultsAnswer = document.getElementById('results-answer');
     elements.resultsClues = document.getElementById('results-clues');
     elements.resultsTries = document.getElementById('results-tries');
     elements.resultsScore = document.getElementById('results-score');
+    elements.resultsTimeRow = document.getElementById('results-time-row');
+    elements.resultsTime = document.getElementById('results-time');
     elements.resultsStreak = document.getElementById('results-streak');
+    elements.resultsFreezesRow = document.getElementById('results-freezes-row');
+    elements.resultsFreezes = document.getElementById('results-freezes');
+    elements.resultsRunRow = document.getElementById('results-run-row');
+    elements.resultsRunIcon = document.getElementById('results-run-icon');
+    elements.resultsRun = document.getElementById('results-run');
     elements.resultsFactoid = document.getElementById('results-factoid');
+    elements.resultsChallenge = document.getElementById('results-challenge');
+    elements.challengeTitle = document.getElementById('challenge-title');
+    elements.challengeYouScore = document.getElementById('challenge-you-score');
+    elements.challengeYouDetail = document.getElementById('challenge-you-detail');
+    elements.challengeYouGrid = document.getElementById('challenge-you-grid');
+    elements.challengeThemScore = document.getElementById('challenge-them-score');
+    elements.challengeThemDetail = document.getElementById('challenge-them-detail');
+    elements.challengeThemGrid = document.getElementById('challenge-them-grid');
     elements.shareBtn = document.getElementById('share-btn');
+    elements.shareImageBtn = document.getElementById('share-image-btn');
+    elements.challengeBtn = document.getElementById('challenge-btn');
     elements.quickplayBtn = document.getElementById('quickplay-btn');
     elements.statPlayed = document.getElementById('stat-played');
     elements.statWon = document.getElementById('stat-won');
     elements.statStreak = document.getElementById('stat-streak');
     elements.statMaxStreak = document.getElementById('stat-max-streak');
     elements.statAvgScore = document.getElementById('stat-avg-score');
+    elements.clueDistribution = document.getElementById('clue-distribution');
+    elements.statFreezes = document.getElementById('stat-freezes');
+    elements.streakFreezeStats = document.getElementById('streak-freeze-stats');
+    elements.statsTabs = document.querySelectorAll('.stats-tab');
+    elements.hardModeStats = document.getElementById('hard-mode-stats');
+    elements.statHardMode = document.getElementById('stat-hard-mode');
+    elements.recentGames = document.getElementById('recent-games');
+    elements.exportBtn = document.getElementById('export-btn');
+    elements.importBtn = document.getElementById('import-btn');
+    elements.importFile = document.getElementById('import-file');
+    elements.importPreview = document.getElementById('import-preview');
+    elements.importSummary = document.getElementById('import-summary');
+    elements.importConfirmBtn = document.getElementById('import-confirm-btn');
+    elements.importCancelBtn = document.getElementById('import-cancel-btn');
+    elements.dataNote = document.getElementById('data-note');
+    elements.syncTransfer = document.getElementById('sync-transfer');
+    elements.syncSendBtn = document.getElementById('sync-send-btn');
+    elements.syncCode = document.getElementById('sync-code');
+    elements.syncReceiveForm = document.getElementById('sync-receive-form');
+    elements.syncCodeInput = document.getElementById('sync-code-input');
+    elements.updateBanner = document.getElementById('update-banner');
+    elements.updateBtn = document.getElementById('update-btn');
+    elements.settingToggles = document.querySelectorAll('.setting-toggle');
+    elements.settingsNote = document.getElementById('settings-note');
+    elements.resetPlayedBtn = document.getElementById('reset-played-btn');
+    elements.archiveMonth = document.getElementById('archive-month');
+    elements.archivePrev = document.getElementById('archive-prev');
+    elements.archiveNext = document.getElementById('archive-next');
+    elements.archiveGrid = document.getElementById('archive-grid');
+    elements.archiveSummary = document.getElementById('archive-summary');
+    elements.runTypeInputs = document.querySelectorAll('input[name="run-type"]');
+    elements.difficultyInputs = document.querySelectorAll('input[name="difficulty"]');
+    elements.runTitle = document.getElementById('run-title');
+    elements.runSummary = document.getElementById('run-summary');
+    elements.runBestsTitle = document.getElementById('run-bests-title');
+    elements.runBests = document.getElementById('run-bests');
+    elements.runAgainBtn = document.getElementById('run-again-btn');
+    elements.createForm = document.getElementById('create-form');
+    elements.createWord = document.getElementById('create-word');
+    elements.createCategory = document.getElementById('create-category');
+    elements.createClues = document.getElementById('create-clues');
+    elements.createAddClueBtn = document.getElementById('create-add-clue-btn');
+    elements.createFactoid = document.getElementById('create-factoid');
+    elements.createError = document.getElementById('create-error');
+    elements.createResult = document.getElementById('create-result');
+    elements.createLink = document.getElementById('create-link');
+    elements.createShareBtn = document.getElementById('create-share-btn');
+    elements.createAnotherBtn = document.getElementById('create-another-btn');
   }
 
   /**
@@ -128,6 +327,15 @@ const UIController = (function() {
     elements.guessInput.addEventListener('keydown', handleInputKeydown);
     elements.guessInput.addEventListener('keyup', handleInputReformat);
     elements.submitBtn.addEventListener('click', handleSubmit);
+    if (elements.giveUpBtn) {
+      elements.giveUpBtn.addEventListener('click', handleGiveUpClick);
+    }
+    if (elements.hintBtn) {
+      elements.hintBtn.textContent = `Reveal a letter (−${Utils.HINT_COST} pts)`;
+      elements.hintBtn.addEventListener('click', () => {
+        if (onRevealLetter) onRevealLetter();
+      });
+    }
 
     // Mode buttons
     elements.dailyModeBtn.addEventListener('click', () => {
@@ -136,16 +344,92 @@ const UIController = (function() {
     elements.quickplayModeBtn.addEventListener('click', () => {
       if (onModeChange) onModeChange('quickplay');
     });
+    if (elements.archiveModeBtn) {
+      elements.archiveModeBtn.addEventListener('click', () => {
+        if (onModeChange) onModeChange('archive');
+      });
+    }
+    if (elements.createModeBtn) {
+      elements.createModeBtn.addEventListener('click', () => {
+        if (onModeChange) onModeChange('create');
+      });
+    }
 
     // Modal buttons
     elements.helpBtn.addEventListener('click', () => showModal(elements.helpModal));
     elements.statsBtn.addEventListener('click', () => {
+      // Open on the stats for the mode being played
+      const modes = Array.from(elements.statsTabs).map(tab => tab.dataset.mode);
+      statsMode = modes.includes(activeMode) ? activeMode : 'daily';
       updateStatsDisplay();
+      hideImportPreview();
+      showDataNote('');
+      if (elements.syncCode) elements.syncCode.classList.add('hidden');
       showModal(elements.statsModal);
     });
+    elements.statsTabs.forEach(tab => {
+      tab.addEventListener('click', () => {
+        statsMode = tab.dataset.mode;
+        updateStatsDisplay();
+      });
+    });
+
+    // Player data export/import (web only)
+    if (elements.exportBtn) {
+      elements.exportBtn.addEventListener('click', () => {
+        showDataNote('');
+        if (onExport) onExport();
+      });
+      elements.importBtn.addEventListener('click', () => elements.importFile.click());
+      elements.importFile.addEventListener('change', handleImportFileChange);
+      elements.importConfirmBtn.addEventListener('click', () => {
+        hideImportPreview();
+        if (onImportConfirm) onImportConfirm();
+      });
+      elements.importCancelBtn.addEventListener('click', hideImportPreview);
+    }
+
+    // Transfer codes (shown once a sync backend is set)
+    if (elements.syncTransfer) {
+      elements.syncSendBtn.addEventListener('click', () => {
+        showDataNote('');
+        elements.syncSendBtn.disabled = true;
+        if (onSyncSend) onSyncSend();
+      });
+      elements.syncReceiveForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        hideImportPreview();
+        showDataNote('');
+        if (onSyncReceive) onSyncReceive(elements.syncCodeInput.value);
+      });
+    }
+
+    if (elements.settingsBtn) {
+      elements.settingsBtn.addEventListener('click', () => {
+        updateSettingsDisplay();
+        showModal(elements.settingsModal);
+      });
+    }
+
+    // Settings toggles (data-setting names the settings key)
+    elements.settingToggles.forEach(toggle => {
+      toggle.addEventListener('change', () => {
+        if (onSettingChange) onSettingChange(toggle.dataset.setting, toggle.checked);
+      });
+    });
+
+    if (elements.resetPlayedBtn) {
+      elements.resetPlayedBtn.addEventListener('click', handleResetPlayedClick);
+    }
 
     // Share button
     elements.shareBtn.addEventListener('click', handleShare);
+    if (elements.shareImageBtn) {
+      elements.shareImageBtn.addEventListener('click', handleShareImage);
+    }
+    if (elements.challengeBtn) {
+      elements.challengeBtn.addEventListener('click', handleChallenge);
+    }
 
     // Quick play button in results
     elements.quickplayBtn.addEventListener('click', () => {
@@ -158,11 +442,61 @@ const UIController = (function() {
       const option = e.target.closest('.category-option');
       if (option && onCategorySelect) {
         const category = option.dataset.category;
+        // Web only: play one puzzle, or start a 'speed' run or 'gauntlet'
+        const runType = Array.from(elements.runTypeInputs).find(input => input.checked);
+        // Only puzzles rated this difficulty (any when none is picked)
+        const difficulty = Array.from(elements.difficultyInputs).find(input => input.checked);
         hideModal(elements.categoryModal);
-        onCategorySelect(category);
+        onCategorySelect(category, runType ? runType.value || null : null, difficulty ? difficulty.value || null : null);
       }
     });
 
+    // Run summary (web only)
+    if (elements.runAgainBtn) {
+      elements.runAgainBtn.addEventListener('click', () => {
+        hideModal(elements.runModal);
+        if (onRunAgain) onRunAgain();
+      });
+    }
+
+    // Create a puzzle (web only)
+    if (elements.createForm) {
+      elements.createForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        if (onCreatePuzzle) onCreatePuzzle(getCreateFields());
+      });
+      elements.createAddClueBtn.addEventListener('click', addCreateClue);
+      elements.createShareBtn.addEventListener('click', handleCreateShare);
+      elements.createAnotherBtn.addEventListener('click', () => {
+        elements.createForm.reset();
+        getCreateClueInputs().slice(Utils.DEFAULT_CLUES).forEach(input => input.parentNode.remove());
+        updateAddClueButton();
+        showCreateForm();
+      });
+    }
+
+    // Archive calendar: month navigation and day selection
+    if (elements.archiveModal) {
+      elements.archivePrev.addEventListener('click', () => shiftArchiveMonth(-1));
+      elements.archiveNext.addEventListener('click', () => shiftArchiveMonth(1));
+      elements.archiveGrid.addEventListener('click', (e) => {
+        const day = e.target.closest('.archive-day[data-date]');
+        if (day && !day.disabled && onArchiveSelect) {
+          hideModal(elements.archiveModal);
+          onArchiveSelect(day.dataset.date);
+        }
+      });
+    }
+
+    // Update available banner (web only)
+    if (elements.updateBtn) {
+      elements.updateBtn.addEventListener('click', () => {
+        elements.updateBtn.disabled = true;
+        elements.updateBtn.textContent = 'Updating…';
+        if (onUpdateAccept) onUpdateAccept();
+      });
+    }
+
     // Modal close handlers
     document.querySelectorAll('.modal-close').forEach(btn => {
       btn.addEventListener('click', () => {
@@ -258,6 +592,64 @@ const UIController = (function() {
     }
   }
 
+  /**
+   * Handle give up click — first click arms, second click confirms
+   */
+  function handleGiveUpClick() {
+    if (!elements.giveUpBtn.classList.contains('confirming')) {
+      elements.giveUpBtn.classList.add('confirming');
+      elements.giveUpBtn.textContent = 'Tap again to reveal the answer';
+      giveUpConfirmTimer = setTimeout(resetGiveUpButton, 3000);
+      return;
+    }
+
+    resetGiveUpButton();
+    if (onGiveUp) onGiveUp();
+  }
+
+  /**
+   * Enable the letter hint button only while a hint can be bought
+   */
+  function updateHintButton() {
+    if (!elements.hintBtn) return;
+    const available = GameState.canRevealLetter();
+    elements.hintBtn.disabled = !available;
+    elements.hintBtn.title = !available && GameState.isHardMode() ? 'Letter hints are off in hard mode' : '';
+  }
+
+  /**
+   * Show the stopwatch while a timed game is in progress (and its final
+   * time once it ends); hidden for untimed games
+   */
+  function updateTimer() {
+    clearInterval(timerInterval);
+    timerInterval = null;
+    if (!elements.gameTimer) return;
+
+    const elapsed = GameState.getElapsedMs();
+    const show = GameState.isTimed() && elapsed !== null;
+    elements.gameTimer.classList.toggle('hidden', !show);
+    if (!show) return;
+
+    const tick = () => {
+      elements.gameTimer.textContent = Utils.formatDuration(Math.floor(GameState.getElapsedMs() / 1000));
+    };
+    tick();
+    if (!GameState.isFinished()) {
+      timerInterval = setInterval(tick, 1000);
+    }
+  }
+
+  /**
+   * Restore the give up button to its idle state
+   */
+  function resetGiveUpButton() {
+    clearTimeout(giveUpConfirmTimer);
+    if (!elements.giveUpBtn) return;
+    elements.giveUpBtn.classList.remove('confirming');
+    elements.giveUpBtn.textContent = 'Give up';
+  }
+
   /**
    * Render the game board for a puzzle
    */
@@ -268,14 +660,14 @@ const UIController = (function() {
     // Render clues
     renderClues(puzzle.clues, state.cluesRevealed);
 
-    // Render letter boxes
-    const wordWithoutSpecial = puzzle.word.replace(/[\s-]/g, '');
-    currentWordLength = wordWithoutSpecial.length;
-    currentWordTemplate = puzzle.word.toUpperCase();
-    renderLetterBoxes(puzzle.word, state.correctPositions);
+    // Render letter boxes (from the word's shape; the answer stays encoded)
+    const pattern = AnswerCodec.getPattern(puzzle);
+    currentWordLength = pattern.replace(/[\s-]/g, '').length;
+    currentWordTemplate = pattern;
+    renderLetterBoxes(pattern, GameState.getRevealedLetters());
 
     // Render typing dots
-    renderTypingDots(puzzle.word);
+    renderTypingDots(pattern);
 
     // Render wrong position letters
     const wrongPositionToShow = GameState.getWrongPositionLettersToShow();
@@ -287,8 +679,9 @@ const UIController = (function() {
     elements.guessInput.placeholder = 'Type your guess...';
     updateTypingDots(0);
 
-    // Handle completed state
-    if (state.status === 'won') {
+    // Handle completed state (won or given up)
+    resetGiveUpButton();
+    if (state.status !== 'in-progress') {
       document.body.classList.add('puzzle-complete');
       disableInput();
     } else {
@@ -296,13 +689,24 @@ const UIController = (function() {
       enableInput();
       elements.guessInput.focus();
     }
+    updateTimer();
   }
 
   /**
-   * Render clues
+   * Render clues (one card per clue; puzzles have between
+   * Utils.MIN_CLUES and Utils.MAX_CLUES)
    */
   function renderClues(clues, revealedCount) {
-    for (let i = 1; i <= Utils.MAX_CLUES; i++) {
+    // Rebuild the cards when the clue count changes
+    if (elements.cluesContainer.children.length !== clues.length) {
+      elements.cluesContainer.innerHTML = clues.map((_, index) => `
+        <div class="clue-card hidden" id="clue-${index + 1}">
+          <span class="clue-number">${index + 1}</span>
+          <p class="clue-text" id="clue-text-${index + 1}"></p>
+        </div>`).join('');
+    }
+
+    for (let i = 1; i <= clues.length; i++) {
       const card = document.getElementById(`clue-${i}`);
       const text = document.getElementById(`clue-text-${i}`);
 
@@ -325,13 +729,14 @@ const UIController = (function() {
 
   /**
    * Render letter boxes with dynamic sizing
+   * pattern: the word's shape (AnswerCodec.getPattern); revealed: { position: letter }
    */
-  function renderLetterBoxes(word, correctPositions = []) {
+  function renderLetterBoxes(pattern, revealed = {}) {
     const container = elements.letterBoxes;
     container.innerHTML = '';
 
-    const letters = word.toUpperCase().split('');
-    const pureLength = word.replace(/[\s-]/g, '').length;
+    const letters = pattern.split('');
+    const pureLength = pattern.replace(/[\s-]/g, '').length;
 
     // Determine size class
     let sizeClass = '';
@@ -356,9 +761,9 @@ const UIController = (function() {
         const box = document.createElement('div');
         box.className = `letter-box ${sizeClass}`;
 
-        if (correctPositions.includes(letterIndex)) {
+        if (revealed[letterIndex]) {
           box.classList.add('revealed');
-          box.textContent = char;
+          box.textContent = revealed[letterIndex];
         }
 
         letterIndex++;
@@ -372,14 +777,14 @@ const UIController = (function() {
   /**
    * Render typing progress dots
    */
-  function renderTypingDots(word) {
+  function renderTypingDots(pattern) {
     const container = elements.typingDots;
     container.innerHTML = '';
 
     let dotGroup = document.createElement('div');
     dotGroup.className = 'dot-word-group';
 
-    word.split('').forEach((char) => {
+    pattern.split('').forEach((char) => {
       if (char === ' ' || char === '-') {
         container.appendChild(dotGroup);
         const spacer = document.createElement('div');
@@ -434,6 +839,7 @@ const UIController = (function() {
 
     if (result.isCorrect) {
       // Victory!
+      updateTimer();
       showCorrectAnimation();
       setTimeout(() => {
         showResultsModal(puzzle, result);
@@ -443,19 +849,47 @@ const UIController = (function() {
       showWrongAnimation();
 
       // Update letter boxes with new reveals
-      renderLetterBoxes(puzzle.word, result.correctPositions);
+      renderLetterBoxes(AnswerCodec.getPattern(puzzle), GameState.getRevealedLetters());
 
       // Reveal new clue if applicable
       renderClues(puzzle.clues, result.cluesRevealed);
 
       // Update wrong position letters
       renderWrongPositionLetters(result.wrongPositionLetters);
+      updateHintButton();
 
       // Re-focus input
       elements.guessInput.focus();
     }
   }
 
+  /**
+   * Update display after a letter hint
+   */
+  function updateAfterHint(result, puzzle) {
+    renderLetterBoxes(AnswerCodec.getPattern(puzzle), GameState.getRevealedLetters());
+    renderWrongPositionLetters(GameState.getWrongPositionLettersToShow());
+    updateHintButton();
+    elements.guessInput.focus();
+  }
+
+  /**
+   * Update display after giving up
+   */
+  function updateAfterGiveUp(result, puzzle) {
+    elements.guessInput.value = '';
+    updateTypingDots(0);
+
+    document.body.classList.add('puzzle-complete');
+    disableInput();
+    revealAllLetters();
+    updateTimer();
+
+    setTimeout(() => {
+      showResultsModal(puzzle, result);
+    }, 800);
+  }
+
   /**
    * Show correct guess animation
    */
@@ -463,8 +897,17 @@ const UIController = (function() {
     elements.letterBoxes.classList.add('correct-flash');
     document.body.classList.add('puzzle-complete');
     disableInput();
+    revealAllLetters();
 
-    // Reveal all letters with staggered animation
+    setTimeout(() => {
+      elements.letterBoxes.classList.remove('correct-flash');
+    }, 500);
+  }
+
+  /**
+   * Reveal all letters with staggered animation
+   */
+  function revealAllLetters() {
     const boxes = elements.letterBoxes.querySelectorAll('.letter-box:not(.spacer):not(.hyphen)');
     const puzzle = GameState.getPuzzle();
     const letters = puzzle.word.toUpperCase().replace(/[\s-]/g, '').split('');
@@ -475,10 +918,6 @@ const UIController = (function() {
         box.textContent = letters[i];
       }, i * 100);
     });
-
-    setTimeout(() => {
-      elements.letterBoxes.classList.remove('correct-flash');
-    }, 500);
   }
 
   /**
@@ -498,17 +937,69 @@ const UIController = (function() {
    * Show results modal
    */
   function showResultsModal(puzzle, result) {
+    // Only shown once the game is over, so the answer can be decoded
+    const { word, factoid } = AnswerCodec.decodePuzzle(puzzle);
     const stats = StorageManager.getStats();
     const state = GameState.getState();
     const tries = state ? state.guesses.length : 1;
-
-    elements.resultsTitle.textContent = 'Congratulations!';
-    elements.resultsAnswer.textContent = puzzle.word.toUpperCase();
-    elements.resultsClues.textContent = `${result.cluesRevealed}/3 clues`;
+    const lost = state && state.status === 'lost';
+    const hintsUsed = state ? state.hints.length : 0;
+
+    elements.resultsModal.classList.toggle('lost', lost);
+    elements.resultsTitle.textContent = lost ? 'Better luck next time!' : 'Congratulations!';
+    elements.resultsAnswer.textContent = word.toUpperCase();
+    elements.resultsClues.textContent = `${result.cluesRevealed}/${puzzle.clues.length} clues` +
+      (hintsUsed > 0 ? ` · ${hintsUsed} ${hintsUsed === 1 ? 'hint' : 'hints'}` : '');
     elements.resultsTries.textContent = `${tries} ${tries === 1 ? 'try' : 'tries'}`;
     elements.resultsScore.textContent = `${result.score} points`;
-    elements.resultsStreak.textContent = `${stats.currentStreak} day streak`;
-    elements.resultsFactoid.innerHTML = `<p>${puzzle.factoid}</p>`;
+    if (elements.resultsTimeRow) {
+      // Games saved before they were timed have no solve time
+      const elapsed = GameState.getElapsedMs();
+      const timeBonus = state ? state.timeBonus : 0;
+      elements.resultsTimeRow.classList.toggle('hidden', elapsed === null);
+      elements.resultsTime.textContent = elapsed === null ? '' : Utils.formatDuration(Math.round(elapsed / 1000)) +
+        (timeBonus > 0 ? ` · +${timeBonus} bonus` : '');
+    }
+    elements.resultsStreak.textContent = activeMode === 'archive' && state
+      ? `Day #${DayClock.getDayNumberForKey(state.date)} · streak unaffected`
+      : `${stats.currentStreak} day streak`;
+    // Text only: custom puzzle links carry a factoid written by whoever made the link
+    const factoidText = document.createElement('p');
+    factoidText.textContent = factoid;
+    elements.resultsFactoid.replaceChildren(factoidText);
+
+    // Opened from a challenge link: how the friend did on this puzzle
+    if (elements.resultsChallenge) {
+      const comparing = !!challenge && !!state && challenge.puzzleId === puzzle.id;
+      elements.resultsChallenge.classList.toggle('hidden', !comparing);
+      if (comparing) renderChallenge(puzzle, state);
+    }
+    if (elements.challengeBtn) {
+      elements.challengeBtn.textContent = 'Challenge a Friend';
+    }
+    if (elements.shareImageBtn) {
+      elements.shareImageBtn.textContent = 'Share Image';
+    }
+
+    // Streak freezes only matter for the live daily
+    if (elements.resultsFreezesRow) {
+      elements.resultsFreezesRow.style.display = activeMode === 'daily' ? '' : 'none';
+      elements.resultsFreezes.textContent = formatFreezes(StorageManager.getStreakInfo());
+    }
+
+    // Runs: progress so far, and the button moves the run on
+    if (elements.resultsRunRow) {
+      elements.resultsRunRow.classList.toggle('hidden', !runProgress);
+    }
+    if (runProgress) {
+      const { type, puzzle: done, total, finished } = runProgress;
+      const speedRun = type === 'speed';
+      elements.resultsRunIcon.textContent = speedRun ? '🏁' : '❤️';
+      elements.resultsRun.textContent = formatRunProgress(runProgress);
+      elements.quickplayBtn.textContent = finished ? 'See Run Results' : `Next Puzzle${speedRun ? ` (${done + 1}/${total})` : ''}`;
+    } else {
+      elements.quickplayBtn.textContent = 'Quick Play';
+    }
 
     showModal(elements.resultsModal);
   }
@@ -537,6 +1028,8 @@ const UIController = (function() {
   function enableInput() {
     elements.guessInput.disabled = false;
     elements.submitBtn.disabled = false;
+    if (elements.giveUpBtn) elements.giveUpBtn.disabled = false;
+    updateHintButton();
   }
 
   /**
@@ -545,14 +1038,20 @@ const UIController = (function() {
   function disableInput() {
     elements.guessInput.disabled = true;
     elements.submitBtn.disabled = true;
+    if (elements.giveUpBtn) elements.giveUpBtn.disabled = true;
+    if (elements.hintBtn) elements.hintBtn.disabled = true;
   }
 
   /**
    * Update mode button states
    */
   function setActiveMode(mode) {
+    activeMode = mode;
     elements.dailyModeBtn.classList.toggle('active', mode === 'daily');
     elements.quickplayModeBtn.classList.toggle('active', mode === 'quickplay');
+    if (elements.archiveModeBtn) {
+      elements.archiveModeBtn.classList.toggle('active', mode === 'archive');
+    }
   }
 
   /**
@@ -562,32 +1061,546 @@ const UIController = (function() {
     showModal(elements.categoryModal);
   }
 
+  /**
+   * Set the run in progress, or null when there's none
+   * progress: { type ('speed' or 'gauntlet'), category, puzzle (finished so far),
+   *             total (speed runs), timeMs, score, solved, lives (gauntlets), finished }
+   */
+  function setRunProgress(progress) {
+    runProgress = progress;
+
+    // Lives left show on the board during a gauntlet
+    if (elements.runStatus) {
+      const gauntlet = !!progress && progress.type === 'gauntlet';
+      elements.runStatus.classList.toggle('hidden', !gauntlet);
+      elements.runStatus.textContent = gauntlet ? `❤️ ${progress.lives}` : '';
+    }
+  }
+
+  /**
+   * Set the friend's result to compare against, or null for none
+   * challenge: { puzzleId, ...a Challenge summary }
+   */
+  function setChallenge(result) {
+    challenge = result;
+  }
+
+  /**
+   * Fill in the side-by-side comparison with the friend's result
+   */
+  function renderChallenge(puzzle, state) {
+    const mine = Challenge.summarize(puzzle, state, GameState.getElapsedMs());
+    const outcome = Challenge.compare(mine, challenge);
+    elements.challengeTitle.textContent = outcome > 0 ? 'You win the challenge! 🏆'
+      : outcome < 0 ? 'Your friend wins this one' : "It's a tie!";
+
+    [
+      [mine, elements.challengeYouScore, elements.challengeYouDetail, elements.challengeYouGrid],
+      [challenge, elements.challengeThemScore, elements.challengeThemDetail, elements.challengeThemGrid]
+    ].forEach(([summary, score, detail, grid]) => {
+      const tries = summary.rows.length;
+      score.textContent = summary.solved ? `⭐${summary.score}` : '🏳️ Gave up';
+      detail.textContent = `${summary.cluesRevealed}/${summary.totalClues} clues · ${tries} ${tries === 1 ? 'try' : 'tries'}` +
+        (summary.hintsUsed > 0 ? ` · ${summary.hintsUsed} 💡` : '') +
+        (summary.seconds !== null ? ` · ${Utils.formatDuration(summary.seconds)}` : '');
+      grid.textContent = summary.rows.map(ShareCard.getRowEmojis).join('\n');
+    });
+  }
+
+  /**
+   * Describe a run so far, e.g. "Speed run 2/5 · 1:42" or "Gauntlet · 3 solved · 7 ❤️ left"
+   */
+  function formatRunProgress(run) {
+    if (run.type === 'speed') {
+      return `Speed run ${run.puzzle}/${run.total} · ${Utils.formatDuration(Math.round(run.timeMs / 1000))}`;
+    }
+    return `Gauntlet · ${run.solved} solved · ${run.score} pts · ${run.lives} ❤️ left`;
+  }
+
+  /**
+   * Show a finished run and the category's best runs of that type
+   * run: as for setRunProgress; rank: its place in bests (0 = not in them)
+   */
+  function showRunSummary(run, bests, rank) {
+    if (!elements.runModal) return;
+
+    const speedRun = run.type === 'speed';
+    const label = run.category === 'random' ? 'Random' : run.category;
+    const formatTime = timeMs => Utils.formatDuration(Math.round(timeMs / 1000));
+
+    if (speedRun) {
+      elements.runTitle.textContent = rank === 1 ? 'New Best Time!' : 'Speed Run Complete';
+      elements.runSummary.textContent =
+        `${label} · ${formatTime(run.timeMs)} · ${run.solved}/${run.total} solved · ${run.score} pts`;
+      elements.runBestsTitle.textContent = 'Best Times';
+    } else {
+      elements.runTitle.textContent = rank === 1 ? 'New Best Run!' : 'Gauntlet Over';
+      elements.runSummary.textContent = `${label} · ${run.solved} solved · ${run.score} pts`;
+      elements.runBestsTitle.textContent = 'Best Runs';
+    }
+
+    const list = elements.runBests;
+    list.innerHTML = '';
+    if (bests.length === 0) {
+      list.innerHTML = '<li class="recent-games-empty">No runs yet</li>';
+    }
+    bests.forEach((best, i) => {
+      const item = document.createElement('li');
+      item.classList.toggle('current', i === rank - 1);
+      const date = new Date(best.finishedAt).toLocaleDateString();
+      item.textContent = speedRun
+        ? `${formatTime(best.timeMs)} · ${best.solved}/${run.total} solved · ${best.score} pts · ${date}`
+        : `${best.solved} solved · ${best.score} pts · ${date}`;
+      list.appendChild(item);
+    });
+
+    showModal(elements.runModal);
+  }
+
+  /**
+   * Open the create a puzzle form (keeps what was typed last time)
+   */
+  function showCreatePuzzle() {
+    if (!elements.createModal) return;
+    showCreateForm();
+    updateAddClueButton();
+    showModal(elements.createModal);
+  }
+
+  function showCreateForm() {
+    elements.createForm.classList.remove('hidden');
+    elements.createResult.classList.add('hidden');
+    showCreateError('');
+  }
+
+  function getCreateClueInputs() {
+    return Array.from(elements.createClues.querySelectorAll('input'));
+  }
+
+  /**
+   * Read the create form: { word, category, clues, factoid }
+   */
+  function getCreateFields() {
+    return {
+      word: elements.createWord.value,
+      category: elements.createCategory.value,
+      clues: getCreateClueInputs().map(input => input.value),
+      factoid: elements.createFactoid.value
+    };
+  }
+
+  /**
+   * Add another optional clue field (up to Utils.MAX_CLUES)
+   */
+  function addCreateClue() {
+    const inputs = getCreateClueInputs();
+    if (inputs.length >= Utils.MAX_CLUES) return;
+
+    // Copy the last field's look
+    const field = inputs[inputs.length - 1].parentNode.cloneNode(true);
+    field.querySelector('.create-label').textContent = `Clue ${inputs.length + 1} (optional)`;
+    const input = field.querySelector('input');
+    input.placeholder = 'Another, more specific hint...';
+    input.value = '';
+    elements.createClues.appendChild(field);
+    input.focus();
+    updateAddClueButton();
+  }
+
+  function updateAddClueButton() {
+    elements.createAddClueBtn.classList.toggle('hidden', getCreateClueInputs().length >= Utils.MAX_CLUES);
+  }
+
+  /**
+   * Show why the puzzle can't be made yet ('' clears it)
+   */
+  function showCreateError(message) {
+    if (elements.createError) {
+      elements.createError.textContent = message;
+    }
+  }
+
+  /**
+   * Show the link to a newly created puzzle
+   */
+  function showCreatedLink(url) {
+    elements.createLink.value = url;
+    elements.createForm.classList.add('hidden');
+    elements.createResult.classList.remove('hidden');
+    elements.createShareBtn.textContent = 'Share Link';
+  }
+
+  /**
+   * Share the created puzzle's link, or copy it where sharing isn't available
+   */
+  function handleCreateShare() {
+    const url = elements.createLink.value;
+    const copy = () => navigator.clipboard.writeText(url).then(() => {
+      elements.createShareBtn.textContent = 'Copied!';
+    }).catch(() => {
+      elements.createLink.select();
+    });
+
+    if (navigator.share) {
+      navigator.share({ text: 'Can you solve my CluesWord puzzle? 🧩', url }).catch(copy);
+    } else {
+      copy();
+    }
+  }
+
+  /**
+   * Show the archive calendar, opened on the current month
+   */
+  function showArchive(days) {
+    archiveDays = days;
+    archiveMonth = Utils.getDateString().slice(0, 7);
+    renderArchive();
+    showModal(elements.archiveModal);
+  }
+
+  /**
+   * Move the archive calendar by a number of months
+   */
+  function shiftArchiveMonth(delta) {
+    const [year, month] = archiveMonth.split('-').map(Number);
+    archiveMonth = new Date(Date.UTC(year, month - 1 + delta, 1)).toISOString().slice(0, 7);
+    renderArchive();
+  }
+
+  /**
+   * Get a day's calendar status: solved, lost, today, or missed
+   */
+  function getArchiveStatus(day) {
+    if (day.result) return day.result.status === 'won' ? 'solved' : 'lost';
+    return day.isToday ? 'today' : 'missed';
+  }
+
+  /**
+   * Render the archive calendar for the current month
+   */
+  function renderArchive() {
+    const [year, month] = archiveMonth.split('-').map(Number);
+    const firstWeekday = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const byDate = {};
+    archiveDays.forEach(day => { byDate[day.date] = day; });
+
+    elements.archiveMonth.textContent = new Date(Date.UTC(year, month - 1, 1))
+      .toLocaleDateString(undefined, { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+    const grid = elements.archiveGrid;
+    grid.innerHTML = '';
+
+    // Blank cells before the 1st
+    for (let i = 0; i < firstWeekday; i++) {
+      const blank = document.createElement('span');
+      blank.className = 'archive-day empty';
+      grid.appendChild(blank);
+    }
+
+    for (let d = 1; d <= daysInMonth; d++) {
+      const date = `${archiveMonth}-${String(d).padStart(2, '0')}`;
+      const day = byDate[date];
+      const cell = document.createElement('button');
+      cell.className = 'archive-day';
+      cell.innerHTML = `<span class="archive-day-date">${d}</span>`;
+
+      if (!day) {
+        // Before launch or still to come
+        cell.classList.add('empty');
+        cell.disabled = true;
+      } else {
+        const status = getArchiveStatus(day);
+        const labels = { lost: 'Gave up', today: "Today's puzzle", missed: 'Not played yet' };
+        const label = status === 'solved' ? `Solved · ${day.result.score} pts` : labels[status];
+        cell.classList.add(status);
+        cell.dataset.date = date;
+        cell.title = `#${day.dayNumber} · ${day.category} · ${label}`;
+        cell.innerHTML += `<span class="archive-day-number">#${day.dayNumber}</span>`;
+
+        // Finished days stay as they were played
+        cell.disabled = status === 'solved' || status === 'lost';
+      }
+
+      grid.appendChild(cell);
+    }
+
+    // Only navigate between launch month and this month
+    const firstMonth = archiveDays.length > 0 ? archiveDays[0].date.slice(0, 7) : archiveMonth;
+    elements.archivePrev.disabled = archiveMonth <= firstMonth;
+    elements.archiveNext.disabled = archiveMonth >= Utils.getDateString().slice(0, 7);
+
+    const pastDays = archiveDays.filter(day => !day.isToday);
+    const solved = pastDays.filter(day => getArchiveStatus(day) === 'solved').length;
+    elements.archiveSummary.textContent = `${solved} of ${pastDays.length} past days solved`;
+  }
+
   /**
    * Update statistics display
    */
   function updateStatsDisplay() {
-    const stats = StorageManager.getStats();
+    const stats = StorageManager.getStats(statsMode);
+    const isDaily = statsMode === 'daily';
 
+    elements.statsTabs.forEach(tab => {
+      tab.classList.toggle('active', tab.dataset.mode === statsMode);
+    });
+
+    // Streaks (and freezes) only exist for the live daily
     elements.statPlayed.textContent = stats.played;
     elements.statWon.textContent = stats.won;
-    elements.statStreak.textContent = stats.currentStreak;
-    elements.statMaxStreak.textContent = stats.maxStreak;
+    elements.statStreak.textContent = isDaily ? stats.currentStreak : '–';
+    elements.statMaxStreak.textContent = isDaily ? stats.maxStreak : '–';
 
     const avgScore = stats.won > 0 ? Math.round(stats.totalScore / stats.won) : 0;
     elements.statAvgScore.textContent = avgScore;
 
-    // Update distribution bars
-    const total = stats.clueDistribution[1] + stats.clueDistribution[2] + stats.clueDistribution[3];
-    const maxCount = Math.max(stats.clueDistribution[1], stats.clueDistribution[2], stats.clueDistribution[3], 1);
+    if (elements.streakFreezeStats) {
+      elements.streakFreezeStats.style.display = isDaily ? '' : 'none';
+      elements.statFreezes.textContent = formatFreezes(StorageManager.getStreakInfo());
+    }
+
+    // Hard mode bucket (only shown once a hard mode game is played)
+    if (elements.hardModeStats) {
+      const hard = stats.hardMode;
+      const hardAvg = hard.won > 0 ? Math.round(hard.totalScore / hard.won) : 0;
+      elements.hardModeStats.style.display = hard.played > 0 ? '' : 'none';
+      elements.statHardMode.textContent = `${hard.won}/${hard.played} won · ${hardAvg} avg`;
+    }
+
+    renderClueDistribution(stats.clueDistribution);
+    renderRecentGames();
+  }
+
+  /**
+   * Render the clue distribution bars
+   * Rows run from 1 clue up to the most clues any win needed (at least
+   * Utils.DEFAULT_CLUES), so longer puzzles get their own rows
+   */
+  function renderClueDistribution(distribution) {
+    const solvedCounts = Object.keys(distribution)
+      .map(Number)
+      .filter(clues => distribution[clues] > 0);
+    const rowCount = Math.max(Utils.DEFAULT_CLUES, ...solvedCounts);
+    const maxCount = Math.max(...Object.values(distribution), 1);
+
+    elements.clueDistribution.innerHTML = '';
+    for (let i = 1; i <= rowCount; i++) {
+      const value = Number(distribution[i]) || 0;
+      const row = document.createElement('div');
+      row.className = 'distribution-row';
+      row.innerHTML = `
+        <span class="dist-label">${i} ${i === 1 ? 'clue' : 'clues'}</span>
+        <div class="dist-bar-container"><div class="dist-bar" data-clues="${i}" style="width: ${(value / maxCount) * 100}%"></div></div>
+        <span class="dist-count" id="dist-${i}">${value}</span>`;
+      elements.clueDistribution.appendChild(row);
+    }
+  }
+
+  /**
+   * Render the last few finished games from the play history
+   */
+  function renderRecentGames() {
+    if (!elements.recentGames) return;
+
+    const MODE_LABELS = { daily: 'Daily', archive: 'Archive', quickplay: 'Quick Play', custom: 'Custom' };
+    // Without stats tabs (Reddit), show every mode
+    const filters = elements.statsTabs.length > 0 ? { mode: statsMode } : {};
+    const recent = StorageManager.getHistory(filters).slice(-5).reverse();
+    const list = elements.recentGames;
+    list.innerHTML = '';
+
+    if (recent.length === 0) {
+      list.innerHTML = '<li class="recent-games-empty">No games yet</li>';
+      return;
+    }
+
+    recent.forEach(entry => {
+      const item = document.createElement('li');
+      item.className = `recent-game ${entry.status}`;
+
+      // Daily and archive games are named by their day number
+      const isDay = entry.mode === 'daily' || entry.mode === 'archive';
+      const title = `${MODE_LABELS[entry.mode] || entry.mode}${isDay ? ` #${DayClock.getDayNumberForKey(entry.date)}` : ''} · ${entry.category}`;
+
+      const tries = entry.guesses.length;
+      const meta = [`${entry.cluesRevealed}/${entry.totalClues || Utils.DEFAULT_CLUES} clues`, `${tries} ${tries === 1 ? 'try' : 'tries'}`];
+      if (entry.duration !== null && entry.duration !== undefined) {
+        meta.push(Utils.formatDuration(entry.duration));
+      }
+
+      // Text only: history can come from imported files
+      item.innerHTML = `
+        <span class="recent-game-info">
+          <span class="recent-game-mode"></span>
+          <span class="recent-game-meta"></span>
+        </span>
+        <span class="recent-game-score"></span>`;
+      item.querySelector('.recent-game-mode').textContent = title;
+      item.querySelector('.recent-game-meta').textContent = meta.join(' · ');
+      item.querySelector('.recent-game-score').textContent = entry.status === 'won' ? `${entry.score} pts` : 'Gave up';
+      list.appendChild(item);
+    });
+  }
 
-    for (let i = 1; i <= 3; i++) {
-      const bar = document.querySelector(`.dist-bar[data-clues="${i}"]`);
-      const count = document.getElementById(`dist-${i}`);
-      const value = stats.clueDistribution[i] || 0;
-      const percentage = (value / maxCount) * 100;
+  /**
+   * Describe the streak freeze inventory, e.g. "1 streak freeze · 3/7 to next"
+   */
+  function formatFreezes(info) {
+    const { EARN_EVERY, MAX_HELD } = Utils.STREAK_FREEZE;
+    const held = `${info.freezes} streak ${info.freezes === 1 ? 'freeze' : 'freezes'}`;
+    if (info.freezes >= MAX_HELD) return `${held} (max)`;
+    return `${held} · ${info.freezeProgress}/${EARN_EVERY} to next`;
+  }
 
-      bar.style.width = `${percentage}%`;
-      count.textContent = value;
+  /**
+   * Read the file picked for import and hand its text to the app
+   */
+  function handleImportFileChange() {
+    const file = elements.importFile.files[0];
+    // Clear so picking the same file again still fires a change
+    elements.importFile.value = '';
+    if (!file) return;
+
+    hideImportPreview();
+    showDataNote('');
+    file.text().then(text => {
+      if (onImportFile) onImportFile(text);
+    }).catch(() => {
+      showDataNote('Could not read that file');
+    });
+  }
+
+  /**
+   * Show what merging an import file would change and ask to confirm
+   * summary: from StorageManager.mergeData(data, { dryRun: true })
+   */
+  function showImportPreview(summary, exportedAt) {
+    const MODE_LABELS = { daily: 'Daily', archive: 'Archive', quickplay: 'Quick Play', custom: 'Custom' };
+    const plural = (count, word, many = `${word}s`) => `${count} ${count === 1 ? word : many}`;
+
+    const lines = [];
+    if (summary.historyAdded > 0) lines.push(`${plural(summary.historyAdded, 'game')} added to your history`);
+    if (summary.completedAdded > 0) lines.push(`${plural(summary.completedAdded, 'completed daily', 'completed dailies')} added`);
+    if (summary.playedAdded > 0) lines.push(`${plural(summary.playedAdded, 'Quick Play puzzle')} marked as played`);
+    if (summary.statsModes.length > 0) {
+      lines.push(`${summary.statsModes.map(mode => MODE_LABELS[mode] || mode).join(', ')} stats taken from the file (more games played)`);
+    }
+    if (summary.settingsAdded > 0) lines.push(`${plural(summary.settingsAdded, 'setting')} added`);
+    if (summary.runsAdded > 0) lines.push(`${plural(summary.runsAdded, 'run')} added to your speed run and gauntlet bests`);
+
+    const list = elements.importSummary;
+    list.innerHTML = '';
+    const heading = document.createElement('li');
+    heading.className = 'import-summary-title';
+    heading.textContent = `Exported ${new Date(exportedAt).toLocaleDateString()}`;
+    list.appendChild(heading);
+
+    (lines.length > 0 ? lines : ['Nothing new — this browser already has everything in the file']).forEach(line => {
+      const item = document.createElement('li');
+      item.textContent = line;
+      list.appendChild(item);
+    });
+
+    elements.importConfirmBtn.disabled = lines.length === 0;
+    elements.importPreview.classList.remove('hidden');
+  }
+
+  /**
+   * Show or hide the transfer code controls
+   */
+  function setSyncAvailable(available) {
+    if (elements.syncTransfer) {
+      elements.syncTransfer.classList.toggle('hidden', !available);
+    }
+  }
+
+  /**
+   * Show the code this device's progress was uploaded under
+   * Called with no code when the upload failed, to re-enable the button
+   */
+  function showSyncCode(code, expiresAt) {
+    elements.syncSendBtn.disabled = false;
+    if (!code) return;
+
+    const expires = new Date(expiresAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+    elements.syncCode.innerHTML = `Enter this on your other device<strong></strong>Valid until ${expires}`;
+    elements.syncCode.querySelector('strong').textContent = Sync.formatCode(code);
+    elements.syncCode.classList.remove('hidden');
+  }
+
+  function hideImportPreview() {
+    if (elements.importPreview) {
+      elements.importPreview.classList.add('hidden');
+    }
+  }
+
+  /**
+   * Show a note under the export/import buttons
+   */
+  function showDataNote(message) {
+    if (elements.dataNote) {
+      elements.dataNote.textContent = message;
+    }
+  }
+
+  /**
+   * Save text as a file download
+   */
+  function downloadFile(fileName, text) {
+    const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Sync settings toggles with stored settings
+   */
+  function updateSettingsDisplay() {
+    const settings = StorageManager.getSettings();
+    elements.settingToggles.forEach(toggle => {
+      toggle.checked = !!settings[toggle.dataset.setting];
+    });
+    resetResetPlayedButton();
+    showSettingsNote('');
+  }
+
+  /**
+   * Handle reset played puzzles click — first click arms, second click confirms
+   */
+  function handleResetPlayedClick() {
+    if (!elements.resetPlayedBtn.classList.contains('confirming')) {
+      elements.resetPlayedBtn.classList.add('confirming');
+      elements.resetPlayedBtn.textContent = 'Tap again to reset';
+      resetPlayedConfirmTimer = setTimeout(resetResetPlayedButton, 3000);
+      return;
+    }
+
+    resetResetPlayedButton();
+    if (onResetPlayed) onResetPlayed();
+  }
+
+  /**
+   * Restore the reset played puzzles button to its idle state
+   */
+  function resetResetPlayedButton() {
+    clearTimeout(resetPlayedConfirmTimer);
+    if (!elements.resetPlayedBtn) return;
+    elements.resetPlayedBtn.classList.remove('confirming');
+    elements.resetPlayedBtn.textContent = 'Reset Played Puzzles';
+  }
+
+  /**
+   * Show a note under the settings list
+   */
+  function showSettingsNote(message) {
+    if (elements.settingsNote) {
+      elements.settingsNote.textContent = message;
     }
   }
 
@@ -595,49 +1608,47 @@ const UIController = (function() {
    * Get the game URL based on environment
    */
   function getGameUrl() {
-    const hostname = window.location.hostname;
-    if (hostname === 'localhost' || hostname === '127.0.0.1') {
+    if (Utils.isLocalhost()) {
       return `localhost:${window.location.port}`;
     }
     return 'cluesword.com';
   }
 
   /**
-   * Generate emoji grid for a guess evaluation
+   * Link that opens one puzzle (App reads the /p/<puzzle-id> route)
+   * Custom puzzles carry themselves in the link (see CustomPuzzle)
+   * A challenge code (see Challenge) adds the sender's result as ?vs=
    */
-  function getGuessEmojis(guess, target) {
-    const evaluation = GameState.evaluateGuess(guess, target);
-    return evaluation.map(e => {
-      switch (e.status) {
-        case 'correct': return '🟩';
-        case 'wrongPosition': return '🟨';
-        default: return '⬜';
-      }
-    }).join('');
+  function getPuzzleUrl(puzzle, challengeCode = null) {
+    const query = challengeCode ? `?vs=${challengeCode}` : '';
+    if (puzzle.code) {
+      return `${getGameUrl()}/${query}#c=${puzzle.code}`;
+    }
+    return `${getGameUrl()}/p/${encodeURIComponent(puzzle.id)}${query}`;
   }
 
   /**
-   * Handle share button click
+   * Share card for the finished game (see ShareCard)
+   * Dailies carry their day number; the live daily also shows the streak
    */
-  function handleShare() {
+  function describeShareCard() {
     const puzzle = GameState.getPuzzle();
     const state = GameState.getState();
-    Analytics.trackShare(state.cluesRevealed, state.score);
-    const stats = StorageManager.getStats();
-    const tries = state.guesses.length;
-    const target = puzzle.word.toUpperCase().replace(/[\s-]/g, '');
-
-    // Build emoji grid for all guesses
-    const guessGrid = state.guesses.map(guess => getGuessEmojis(guess, target)).join('\n');
-
-    // Get puzzle number from ID
-    const puzzleNumber = puzzle.id.split('-')[1] || '1';
+    const isDay = activeMode === 'daily' || activeMode === 'archive';
+    return ShareCard.describe(puzzle, state, {
+      dayNumber: isDay ? DayClock.getDayNumberForKey(state.date) : null,
+      streak: activeMode === 'daily' ? StorageManager.getStats().currentStreak : null,
+      elapsedMs: GameState.getElapsedMs()
+    });
+  }
 
-    // Compact format like Wordle
-    const shareText = `CluesWord #${puzzleNumber} 🧩
-📍${state.cluesRevealed}/3 🎯${tries} ⭐${state.score}
-${guessGrid}
-${getGameUrl()}`;
+  /**
+   * Handle share button click
+   */
+  function handleShare() {
+    const card = describeShareCard();
+    Analytics.trackShare(card.cluesRevealed, card.score);
+    const shareText = ShareCard.getText(card, { url: getPuzzleUrl(GameState.getPuzzle()) });
 
     if (navigator.share) {
       navigator.share({
@@ -651,19 +1662,74 @@ ${getGameUrl()}`;
   }
 
   /**
-   * Copy text to clipboard
+   * Handle share image button click: the share card as a PNG, shared where
+   * the browser can share files and downloaded otherwise
+   */
+  async function handleShareImage() {
+    const card = describeShareCard();
+    const url = getPuzzleUrl(GameState.getPuzzle());
+    Analytics.trackShare(card.cluesRevealed, card.score, 'image');
+
+    elements.shareImageBtn.disabled = true;
+    const result = await ShareCard.shareImage(card, { text: ShareCard.getText(card, { url }), url });
+    elements.shareImageBtn.disabled = false;
+
+    if (result.success && !result.shared) {
+      elements.shareImageBtn.textContent = 'Saved!';
+      setTimeout(() => {
+        elements.shareImageBtn.textContent = 'Share Image';
+      }, 2000);
+    } else if (!result.success && result.error) {
+      showError(result.error);
+    }
+  }
+
+  /**
+   * Handle challenge button click: share the puzzle's link with this result in it
    */
-  function copyToClipboard(text) {
+  function handleChallenge() {
+    const puzzle = GameState.getPuzzle();
+    const state = GameState.getState();
+    const summary = Challenge.summarize(puzzle, state, GameState.getElapsedMs());
+    Analytics.trackChallenge('sent');
+
+    const resultText = summary.solved
+      ? `I got ⭐${summary.score} with ${summary.cluesRevealed}/${summary.totalClues} clues`
+      : 'This one beat me';
+    const challengeText = `${resultText} on CluesWord 🧩 Can you do better?
+${getPuzzleUrl(puzzle, Challenge.encode(summary))}`;
+
+    const copy = () => copyToClipboard(challengeText, elements.challengeBtn, 'Challenge a Friend');
+    if (navigator.share) {
+      navigator.share({ text: challengeText }).catch(copy);
+    } else {
+      copy();
+    }
+  }
+
+  /**
+   * Copy text to clipboard, confirming on the button that was pressed
+   */
+  function copyToClipboard(text, button = elements.shareBtn, label = 'Share Results') {
     navigator.clipboard.writeText(text).then(() => {
-      elements.shareBtn.textContent = 'Copied!';
+      button.textContent = 'Copied!';
       setTimeout(() => {
-        elements.shareBtn.textContent = 'Share Results';
+        button.textContent = label;
       }, 2000);
     }).catch(() => {
       showError('Failed to copy');
     });
   }
 
+  /**
+   * Offer to switch to a newly downloaded version
+   */
+  function showUpdateBanner() {
+    if (elements.updateBanner) {
+      elements.updateBanner.classList.remove('hidden');
+    }
+  }
+
   /**
    * Show modal
    */
@@ -687,11 +1753,30 @@ ${getGameUrl()}`;
     initialize,
     renderGame,
     updateAfterGuess,
+    updateAfterHint,
+    updateAfterGiveUp,
+    updateHintButton,
+    updateTimer,
     showError,
     clearError,
     setActiveMode,
     showCategorySelector,
+    setRunProgress,
+    setChallenge,
+    showRunSummary,
+    showCreatePuzzle,
+    showCreateError,
+    showCreatedLink,
+    showArchive,
     showResultsModal,
-    updateStatsDisplay
+    updateStatsDisplay,
+    updateSettingsDisplay,
+    showSettingsNote,
+    showImportPreview,
+    showDataNote,
+    downloadFile,
+    setSyncAvailable,
+    showSyncCode,
+    showUpdateBanner
   };
 })();
@@ -0,0 +1,69 @@
+/**
+ * CluesWord - Word List Module
+ * Per-category lists of valid answers for guess validation
+ *
+ * The lists (data/categories/, scripts/build-word-lists.cjs) hold
+ * Utils.hashString of each normalized answer rather than the answer itself,
+ * so they can't be read as the answer key; guesses are hashed to look them up.
+ */
+
+const WordList = (function() {
+  'use strict';
+
+  // { category: Set of word hashes } — populated by the app after fetching
+  const lists = {};
+
+  // Singular nouns for error messages ("Not a known country")
+  const CATEGORY_NOUNS = {
+    'Countries': 'country',
+    'Cities': 'city',
+    'Animals': 'animal',
+    'Movies': 'movie',
+    'Famous People': 'famous person'
+  };
+
+  /**
+   * Normalize a word to letters only, uppercase
+   */
+  function normalize(word) {
+    return word.toUpperCase().replace(/[\s-]/g, '');
+  }
+
+  /**
+   * Register the valid answers for a category, as hashes of the normalized words
+   */
+  function setWords(category, hashes) {
+    lists[category] = new Set(hashes);
+  }
+
+  /**
+   * Check if a list has been loaded for a category
+   */
+  function hasList(category) {
+    return !!lists[category];
+  }
+
+  /**
+   * Check if a guess is a known answer in its category
+   * Categories without a loaded list (e.g. custom "Other") accept anything
+   */
+  function isValid(category, guess) {
+    if (!lists[category]) return true;
+    return lists[category].has(Utils.hashString(normalize(guess)));
+  }
+
+  /**
+   * Get the singular noun for a category
+   */
+  function getCategoryNoun(category) {
+    return CATEGORY_NOUNS[category] || 'answer';
+  }
+
+  // Public API
+  return {
+    setWords,
+    hasList,
+    isValid,
+    getCategoryNoun
+  };
+})();
@@ -273,7 +273,7 @@ function main() {
 
   console.log('\n✅ Puzzles added to data files');
   console.log('⚠️  Remember to fill in clues and factoids (search for "TODO" in data files)');
-  console.log('   Then run: npm run validate-puzzles\n');
+  console.log('   Then run: npm run build-word-lists && npm run build-schedule && npm run build-puzzle-data && npm run validate-puzzles\n');
 }
 
 main();
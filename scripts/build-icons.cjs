@@ -0,0 +1,281 @@
+#!/usr/bin/env node
+/**
+ * Build Icons Script
+ *
+ * Draws the app icon (three letter tiles, "C W ?") and writes every file the
+ * manifest and index.html point to, so they all come from one design:
+ * - assets/icon.svg: rounded square, any size
+ * - assets/icon-192.png, assets/icon-512.png: the same, for browsers that
+ *   want PNGs (purpose "any")
+ * - assets/icon-maskable-512.png: full-bleed background with the tiles inside
+ *   the maskable safe zone (the middle 80% circle), for launchers that crop
+ *   icons to their own shape
+ * - assets/apple-touch-icon.png: 180px, full-bleed (iOS rounds the corners)
+ *
+ * Shapes are rasterized here (4x4 samples per pixel) and written with zlib,
+ * so no image tools or fonts are needed; the letters are drawn as strokes.
+ *
+ * Usage: node scripts/build-icons.cjs
+ * Re-run after changing the design below.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const ASSETS_DIR = path.join(__dirname, '..', 'assets');
+const SIZE = 512; // Design units
+const SAMPLES = 4; // Per pixel, per axis
+
+const COLORS = {
+  background: '#5a8f5c',
+  correct: '#6aaa64',
+  wrongPosition: '#c9b458',
+  paper: '#faf8f5',
+  white: '#ffffff',
+  text: '#3d2c1e'
+};
+
+const CORNER_RADIUS = 96; // Rounded square ("any" icons)
+const MASKABLE_SCALE = 0.8; // Tiles shrunk toward the center for the safe zone
+
+const TILE = { y: 196, width: 88, height: 120, radius: 12, border: 8 };
+const LETTER_WIDTH = 14;
+
+// Tiles, left to right: x, fill, and the letter drawn on it
+const TILES = [
+  { x: 106, fill: COLORS.correct, ink: COLORS.white, letter: 'C' },
+  { x: 212, fill: COLORS.wrongPosition, ink: COLORS.white, letter: 'W' },
+  { x: 318, fill: COLORS.paper, ink: COLORS.text, letter: '?' }
+];
+
+// --- Shapes (design units): contains(x, y) for rasterizing, svg() for the SVG ---
+
+function roundRect(x, y, width, height, radius, color) {
+  return {
+    color,
+    contains(px, py) {
+      const dx = Math.max(x + radius - px, 0, px - (x + width - radius));
+      const dy = Math.max(y + radius - py, 0, py - (y + height - radius));
+      return px >= x && px <= x + width && py >= y && py <= y + height && dx * dx + dy * dy <= radius * radius;
+    },
+    svg: () => `<rect x="${x}" y="${y}" width="${width}" height="${height}"${radius ? ` rx="${radius}"` : ''} fill="${color}"/>`
+  };
+}
+
+function circle(cx, cy, radius, color) {
+  return {
+    color,
+    contains: (px, py) => (px - cx) ** 2 + (py - cy) ** 2 <= radius * radius,
+    svg: () => `<circle cx="${cx}" cy="${cy}" r="${radius}" fill="${color}"/>`
+  };
+}
+
+function distanceToSegment(px, py, [x1, y1], [x2, y2]) {
+  const lengthSquared = (x2 - x1) ** 2 + (y2 - y1) ** 2;
+  const t = Math.max(0, Math.min(1, ((px - x1) * (x2 - x1) + (py - y1) * (y2 - y1)) / lengthSquared));
+  return Math.hypot(px - (x1 + t * (x2 - x1)), py - (y1 + t * (y2 - y1)));
+}
+
+/**
+ * Stroke through points, with round caps and joins
+ */
+function polyline(points, width, color) {
+  return {
+    color,
+    contains: (px, py) => points.slice(1).some((point, i) => distanceToSegment(px, py, points[i], point) <= width / 2),
+    svg: () => `<polyline points="${points.map(p => p.join(',')).join(' ')}" fill="none" stroke="${color}" stroke-width="${width}" stroke-linecap="round" stroke-linejoin="round"/>`
+  };
+}
+
+/**
+ * Stroked arc with round caps, clockwise on screen from `from` to `to`
+ * degrees (0 = right, 90 = down)
+ */
+function arc(cx, cy, radius, from, to, width, color) {
+  const toPoint = degrees => {
+    const radians = degrees * Math.PI / 180;
+    return [cx + radius * Math.cos(radians), cy + radius * Math.sin(radians)];
+  };
+  const start = toPoint(from);
+  const end = toPoint(to);
+  const round = n => Math.round(n * 100) / 100;
+  return {
+    color,
+    contains(px, py) {
+      const angle = ((Math.atan2(py - cy, px - cx) * 180 / Math.PI - from) % 360 + 360) % 360;
+      if (angle <= to - from) return Math.abs(Math.hypot(px - cx, py - cy) - radius) <= width / 2;
+      return [start, end].some(([x, y]) => Math.hypot(px - x, py - y) <= width / 2);
+    },
+    svg: () => `<path d="M${round(start[0])} ${round(start[1])}A${radius} ${radius} 0 ${to - from > 180 ? 1 : 0} 1 ${round(end[0])} ${round(end[1])}" fill="none" stroke="${color}" stroke-width="${width}" stroke-linecap="round"/>`
+  };
+}
+
+// Letters centered on (cx, 256), about as tall as capitals in a 92px font
+function letterShapes(letter, cx, color) {
+  switch (letter) {
+    case 'C':
+      return [arc(cx, 256, 30, 45, 315, LETTER_WIDTH, color)];
+    case 'W':
+      return [polyline([[cx - 32, 226], [cx - 16, 286], [cx, 240], [cx + 16, 286], [cx + 32, 226]], LETTER_WIDTH, color)];
+    case '?':
+      return [
+        arc(cx, 242, 17, 180, 450, LETTER_WIDTH, color),
+        polyline([[cx, 259], [cx, 266]], LETTER_WIDTH, color),
+        circle(cx, 288, 8, color)
+      ];
+    default:
+      throw new Error(`No shape for '${letter}'`);
+  }
+}
+
+function tileShapes() {
+  return TILES.flatMap(tile => {
+    const half = TILE.border / 2;
+    return [
+      // Border centered on the tile's edge, then the tile inside it
+      roundRect(tile.x - half, TILE.y - half, TILE.width + TILE.border, TILE.height + TILE.border, TILE.radius + half, COLORS.paper),
+      roundRect(tile.x + half, TILE.y + half, TILE.width - TILE.border, TILE.height - TILE.border, TILE.radius - half, tile.fill),
+      ...letterShapes(tile.letter, tile.x + TILE.width / 2, tile.ink)
+    ];
+  });
+}
+
+/**
+ * Icon layers, bottom first
+ * Options: rounded (transparent corners), maskable (tiles within the safe zone)
+ */
+function design({ rounded, maskable }) {
+  return {
+    background: roundRect(0, 0, SIZE, SIZE, rounded ? CORNER_RADIUS : 0, COLORS.background),
+    tiles: tileShapes(),
+    tileScale: maskable ? MASKABLE_SCALE : 1
+  };
+}
+
+// --- Rendering ---
+
+function parseColor(hex) {
+  return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+function rasterize({ background, tiles, tileScale }, pixels) {
+  const rgba = Buffer.alloc(pixels * pixels * 4);
+  const scale = SIZE / pixels;
+  const center = SIZE / 2;
+
+  for (let row = 0; row < pixels; row++) {
+    for (let col = 0; col < pixels; col++) {
+      const sum = [0, 0, 0, 0];
+      for (let sy = 0; sy < SAMPLES; sy++) {
+        for (let sx = 0; sx < SAMPLES; sx++) {
+          const x = (col + (sx + 0.5) / SAMPLES) * scale;
+          const y = (row + (sy + 0.5) / SAMPLES) * scale;
+          if (!background.contains(x, y)) continue;
+
+          // Topmost tile shape here, in the tiles' (possibly shrunk) frame
+          const tx = center + (x - center) / tileScale;
+          const ty = center + (y - center) / tileScale;
+          let color = background.color;
+          tiles.forEach(shape => {
+            if (shape.contains(tx, ty)) color = shape.color;
+          });
+
+          const [r, g, b] = parseColor(color);
+          sum[0] += r;
+          sum[1] += g;
+          sum[2] += b;
+          sum[3] += 1;
+        }
+      }
+
+      // Color averaged over the covered samples, alpha from the coverage
+      const offset = (row * pixels + col) * 4;
+      if (sum[3] > 0) {
+        rgba[offset] = Math.round(sum[0] / sum[3]);
+        rgba[offset + 1] = Math.round(sum[1] / sum[3]);
+        rgba[offset + 2] = Math.round(sum[2] / sum[3]);
+        rgba[offset + 3] = Math.round(255 * sum[3] / (SAMPLES * SAMPLES));
+      }
+    }
+  }
+  return rgba;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode RGBA pixels as a PNG (8-bit, no filtering)
+ */
+function encodePng(rgba, pixels) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(pixels, 0);
+  header.writeUInt32BE(pixels, 4);
+  header[8] = 8; // Bit depth
+  header[9] = 6; // Color type: RGBA
+
+  const rowLength = pixels * 4;
+  const raw = Buffer.alloc((rowLength + 1) * pixels);
+  for (let row = 0; row < pixels; row++) {
+    rgba.copy(raw, row * (rowLength + 1) + 1, row * rowLength, (row + 1) * rowLength);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+function buildSvg({ background, tiles }) {
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${SIZE} ${SIZE}">`,
+    '  <!-- Generated by scripts/build-icons.cjs -->',
+    `  ${background.svg()}`,
+    ...tiles.map(shape => `  ${shape.svg()}`),
+    '</svg>'
+  ].join('\n') + '\n';
+}
+
+function main() {
+  console.log('\n🎨 Drawing app icons...\n');
+
+  const outputs = [
+    { file: 'icon-192.png', pixels: 192, options: { rounded: true, maskable: false } },
+    { file: 'icon-512.png', pixels: 512, options: { rounded: true, maskable: false } },
+    { file: 'icon-maskable-512.png', pixels: 512, options: { rounded: false, maskable: true } },
+    { file: 'apple-touch-icon.png', pixels: 180, options: { rounded: false, maskable: false } }
+  ];
+
+  fs.writeFileSync(path.join(ASSETS_DIR, 'icon.svg'), buildSvg(design({ rounded: true, maskable: false })), 'utf-8');
+  console.log('   icon.svg');
+
+  for (const { file, pixels, options } of outputs) {
+    fs.writeFileSync(path.join(ASSETS_DIR, file), encodePng(rasterize(design(options), pixels), pixels));
+    console.log(`   ${file} (${pixels}×${pixels})`);
+  }
+
+  console.log(`\n✅ Icons written to assets/\n`);
+}
+
+main();
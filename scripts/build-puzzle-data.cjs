@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+/**
+ * Build Puzzle Data Script
+ *
+ * Generates the puzzle files the game actually loads (data/encoded/), with
+ * each answer and factoid encoded by js/answer-codec.js, so opening the
+ * network tab or the data files doesn't spoil the puzzles.
+ *
+ * Sources stay readable for editing:
+ * - data/{category}.json → data/encoded/{category}.json
+ * - data/daily.json + data/schedule.json → data/encoded/days/{date}.json,
+ *   one file per scheduled day, so the game only ever fetches today and
+ *   past days (netlify/edge-functions/daily-gate.js refuses future ones)
+ * - After the schedule's last day, another ROTATION_DAYS day files follow
+ *   the rotation (daily.json order, DayClock.getPuzzleIndexForKey), the
+ *   same puzzles Reddit falls back to; data/encoded/rotation.json lists
+ *   the ids in that order so the game can tell which puzzle each day is
+ *
+ * Usage: node scripts/build-puzzle-data.cjs
+ * Re-run after adding or editing puzzles or extending the schedule
+ * (validate-puzzles checks it's current).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const JS_DIR = path.join(__dirname, '..', 'js');
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const OUTPUT_DIR = path.join(DATA_DIR, 'encoded');
+const DAYS_DIR = path.join(OUTPUT_DIR, 'days');
+const ROTATION_DAYS = 365;
+
+const CATEGORY_FILES = {
+  'Countries': 'countries',
+  'Cities': 'cities',
+  'Animals': 'animals',
+  'Movies': 'movies',
+  'Famous People': 'famous-people'
+};
+
+// Same clock and codec as the game (browser scripts, so evaluate them together)
+const { DayClock, AnswerCodec } = vm.runInNewContext(
+  ['day-clock.js', 'utils.js', 'answer-codec.js']
+    .map(file => fs.readFileSync(path.join(JS_DIR, file), 'utf-8'))
+    .join('\n') + '\n({ DayClock, AnswerCodec });',
+  { module: undefined }
+);
+
+function loadJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+function writeJson(filePath, data) {
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2) + '\n', 'utf-8');
+}
+
+function encodeCategory(basename) {
+  const puzzles = loadJson(path.join(DATA_DIR, `${basename}.json`));
+  writeJson(path.join(OUTPUT_DIR, `${basename}.json`), puzzles.map(p => AnswerCodec.encodePuzzle(p)));
+  return puzzles.length;
+}
+
+/**
+ * Write one file per scheduled day, then ROTATION_DAYS more from the
+ * rotation, replacing any left from an older build
+ */
+function encodeDays() {
+  const daily = loadJson(path.join(DATA_DIR, 'daily.json'));
+  const { days } = loadJson(path.join(DATA_DIR, 'schedule.json'));
+
+  fs.rmSync(DAYS_DIR, { recursive: true, force: true });
+  fs.mkdirSync(DAYS_DIR, { recursive: true });
+
+  const scheduled = Object.keys(days).sort();
+  for (let i = 1; i <= ROTATION_DAYS; i++) {
+    const date = DayClock.addDays(scheduled[scheduled.length - 1], i);
+    days[date] = daily[DayClock.getPuzzleIndexForKey(daily.length, date)].id;
+  }
+  writeJson(path.join(OUTPUT_DIR, 'rotation.json'), daily.map(p => p.id));
+
+  const dates = Object.keys(days).sort();
+  for (const date of dates) {
+    const puzzle = daily.find(p => p.id === days[date]);
+    if (!puzzle) {
+      console.log(`   ⚠️  ${date}: unknown puzzle '${days[date]}', skipped`);
+      continue;
+    }
+    writeJson(path.join(DAYS_DIR, `${date}.json`), AnswerCodec.encodePuzzle(puzzle));
+  }
+  return dates;
+}
+
+function main() {
+  console.log('\n🔒 Encoding puzzle data...\n');
+
+  if (!fs.existsSync(OUTPUT_DIR)) {
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+  }
+
+  for (const [category, basename] of Object.entries(CATEGORY_FILES)) {
+    console.log(`   ${category}: ${encodeCategory(basename)} puzzles`);
+  }
+
+  const dates = encodeDays();
+  console.log(`   Daily: ${dates.length} days (${dates[0]} → ${dates[dates.length - 1]}, the last ${ROTATION_DAYS} from the rotation)`);
+
+  console.log(`\n✅ Encoded puzzles written to data/encoded/\n`);
+}
+
+main();
@@ -1,7 +1,8 @@
 #!/usr/bin/env node
 /**
  * Build script for Reddit/Devvit version.
- * Copies shared CSS, data, and core JS files into reddit/webroot/.
+ * Copies shared CSS, data, and core JS files into reddit/webroot/,
+ * and shared modules used by the Devvit app into reddit/src/.
  *
  * Usage: node scripts/build-reddit.cjs
  */
@@ -11,6 +12,7 @@ const path = require('path');
 
 const ROOT = path.join(__dirname, '..');
 const WEBROOT = path.join(ROOT, 'reddit', 'webroot');
+const DEVVIT_SRC = path.join(ROOT, 'reddit', 'src');
 
 // Shared CSS files to copy
 const CSS_FILES = [
@@ -22,19 +24,37 @@ const CSS_FILES = [
 
 // Shared JS files to copy as-is (game logic, no platform-specific code)
 const JS_FILES = [
+  'js/day-clock.js',
   'js/utils.js',
+  'js/answer-codec.js',
+  'js/storage-schema.js',
+  'js/word-list.js',
+  'js/puzzle-picker.js',
   'js/game-state.js',
+  'js/share-card.js',
   'js/ui-controller.js',
 ];
 
-// Data files to copy
+// Shared modules and data for the Devvit app (source → reddit/src/ name)
+// .cjs so the ESM Devvit bundle imports them as CommonJS
+const DEVVIT_FILES = {
+  'js/day-clock.js': 'day-clock.cjs',
+  'data/daily.json': 'daily-puzzles.json',
+  'data/schedule.json': 'daily-schedule.json',
+};
+
+// Data files to copy (puzzles only as encoded by scripts/build-puzzle-data.cjs)
 const DATA_FILES = [
-  'data/daily.json',
-  'data/animals.json',
-  'data/cities.json',
-  'data/countries.json',
-  'data/movies.json',
-  'data/famous-people.json',
+  'data/encoded/animals.json',
+  'data/encoded/cities.json',
+  'data/encoded/countries.json',
+  'data/encoded/movies.json',
+  'data/encoded/famous-people.json',
+  'data/categories/animals.json',
+  'data/categories/cities.json',
+  'data/categories/countries.json',
+  'data/categories/movies.json',
+  'data/categories/famous-people.json',
 ];
 
 function ensureDir(dir) {
@@ -80,7 +100,16 @@ function main() {
     copied++;
   }
 
-  console.log(`\n✅ Copied ${copied} files into reddit/webroot/`);
+  // Copy shared Devvit modules
+  for (const [file, name] of Object.entries(DEVVIT_FILES)) {
+    const src = path.join(ROOT, file);
+    const dest = path.join(DEVVIT_SRC, name);
+    copyFile(src, dest);
+    console.log(`  ${file} → reddit/src/${name}`);
+    copied++;
+  }
+
+  console.log(`\n✅ Copied ${copied} files into reddit/`);
 }
 
 main();
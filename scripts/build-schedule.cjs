@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+/**
+ * Build Schedule Script
+ *
+ * Maintains data/schedule.json, the dated list of which daily puzzle is
+ * played on which day (date → puzzle id). Days already in the schedule are
+ * never changed, so adding puzzles to daily.json can't reshuffle them.
+ *
+ * New days are filled after the last scheduled day:
+ * 1. Puzzles that have never been scheduled, in daily.json order
+ * 2. Then the least recently scheduled puzzle outside the repeat window
+ * If no puzzle is allowed, scheduling stops — add more daily puzzles.
+ *
+ * Usage: node scripts/build-schedule.cjs [--days N] [--window N] [--dry-run]
+ *
+ * Options:
+ *   --days N     Schedule through N days after today (default 30)
+ *   --window N   Days before a puzzle may repeat (saved in schedule.json)
+ *   --dry-run    Show what would be scheduled without writing
+ *
+ * The first run backfills launch day → today with the old modulo rotation
+ * so past days keep the puzzle players actually saw. Those days are marked
+ * by "legacyUntil" and exempt from the repeat window check.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const DAILY_PATH = path.join(ROOT, 'data', 'daily.json');
+const SCHEDULE_PATH = path.join(ROOT, 'data', 'schedule.json');
+const DEFAULT_HORIZON_DAYS = 30;
+const DEFAULT_WINDOW_DAYS = 14;
+
+// Same clock as the game (js/day-clock.js is a browser script, so evaluate it)
+const DayClock = vm.runInNewContext(
+  fs.readFileSync(path.join(ROOT, 'js', 'day-clock.js'), 'utf-8') + '\nDayClock;',
+  { module: undefined }
+);
+
+function parseArgs(argv) {
+  const args = { days: DEFAULT_HORIZON_DAYS, window: null, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--days') args.days = parseInt(argv[++i], 10);
+    else if (argv[i] === '--window') args.window = parseInt(argv[++i], 10);
+    else if (argv[i] === '--dry-run') args.dryRun = true;
+  }
+  if (Number.isNaN(args.days) || args.days < 0 || Number.isNaN(args.window) || args.window < 0) {
+    console.log('Usage: node scripts/build-schedule.cjs [--days N] [--window N] [--dry-run]');
+    process.exit(1);
+  }
+  return args;
+}
+
+/**
+ * Backfill launch day → today with the old `daysSinceLaunch % length` rotation
+ */
+function createLegacySchedule(daily, today) {
+  const days = {};
+  const total = DayClock.daysBetween(DayClock.LAUNCH_DAY, today);
+  for (let i = 0; i <= total; i++) {
+    days[DayClock.addDays(DayClock.LAUNCH_DAY, i)] = daily[i % daily.length].id;
+  }
+  return { repeatWindowDays: DEFAULT_WINDOW_DAYS, legacyUntil: today, days };
+}
+
+/**
+ * Pick the puzzle for a day, or null if every puzzle is inside the window
+ */
+function pickPuzzle(dailyIds, lastUsed, date, windowDays) {
+  const fresh = dailyIds.find(id => !lastUsed.has(id));
+  if (fresh) return fresh;
+
+  const allowed = dailyIds
+    .filter(id => DayClock.daysBetween(lastUsed.get(id), date) > windowDays)
+    .sort((a, b) => DayClock.daysBetween(lastUsed.get(b), lastUsed.get(a)));
+  return allowed[0] || null;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const daily = JSON.parse(fs.readFileSync(DAILY_PATH, 'utf-8'));
+  const dailyIds = daily.map(p => p.id);
+  const today = DayClock.getDayKey();
+
+  let schedule;
+  if (fs.existsSync(SCHEDULE_PATH)) {
+    schedule = JSON.parse(fs.readFileSync(SCHEDULE_PATH, 'utf-8'));
+  } else {
+    schedule = createLegacySchedule(daily, today);
+    console.log(`\n📜 No schedule found — backfilled ${Object.keys(schedule.days).length} past days from the old rotation`);
+  }
+
+  if (args.window !== null) {
+    schedule.repeatWindowDays = args.window;
+  }
+
+  // Last scheduled date per puzzle
+  const dates = Object.keys(schedule.days).sort();
+  const lastUsed = new Map();
+  dates.forEach(date => lastUsed.set(schedule.days[date], date));
+
+  const lastDate = dates[dates.length - 1] || DayClock.addDays(DayClock.LAUNCH_DAY, -1);
+  const endDate = DayClock.addDays(today, args.days);
+  const added = [];
+
+  for (let date = DayClock.addDays(lastDate, 1); date <= endDate; date = DayClock.addDays(date, 1)) {
+    const id = pickPuzzle(dailyIds, lastUsed, date, schedule.repeatWindowDays);
+    if (!id) {
+      console.log(`\n⚠️  Stopped at ${date}: every puzzle was used in the last ${schedule.repeatWindowDays} days`);
+      console.log('   Add more daily puzzles or lower --window');
+      break;
+    }
+    schedule.days[date] = id;
+    lastUsed.set(id, date);
+    added.push([date, id]);
+  }
+
+  console.log(`\n📅 Scheduled ${added.length} new day(s) (repeat window: ${schedule.repeatWindowDays} days)`);
+  added.forEach(([date, id]) => console.log(`   ${date} → ${id}`));
+
+  const finalDates = Object.keys(schedule.days).sort();
+  console.log(`\n   Schedule runs through ${finalDates[finalDates.length - 1]}`);
+
+  if (args.dryRun) {
+    console.log('\n🔍 Dry run — no changes made.\n');
+    return;
+  }
+
+  // Keep days sorted so diffs stay readable
+  const sortedDays = {};
+  finalDates.forEach(date => { sortedDays[date] = schedule.days[date]; });
+  schedule.days = sortedDays;
+
+  fs.writeFileSync(SCHEDULE_PATH, JSON.stringify(schedule, null, 2) + '\n', 'utf-8');
+  console.log('\n✅ Schedule written to data/schedule.json');
+  console.log('   Then run: npm run build-puzzle-data && npm run validate-puzzles\n');
+}
+
+main();
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+/**
+ * Build Word Lists Script
+ *
+ * Generates the per-category lists of valid answers used to validate
+ * guesses (data/categories/{category}.json).
+ *
+ * Each list is built from:
+ * - Every puzzle answer in data/daily.json and data/{category}.json
+ * - The hand-maintained extras in data/supplementary-words.json
+ *
+ * Words are normalized (uppercase, no spaces or hyphens) to match how
+ * guesses are typed, then stored as Utils.hashString hashes so the lists
+ * don't give the answers away (js/word-list.js hashes guesses to match).
+ *
+ * Usage: node scripts/build-word-lists.cjs
+ * Re-run after adding puzzles or editing supplementary-words.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const DAILY_PATH = path.join(DATA_DIR, 'daily.json');
+const SUPPLEMENTARY_PATH = path.join(DATA_DIR, 'supplementary-words.json');
+const OUTPUT_DIR = path.join(DATA_DIR, 'categories');
+
+const CATEGORY_FILES = {
+  'Countries': 'countries',
+  'Cities': 'cities',
+  'Animals': 'animals',
+  'Movies': 'movies',
+  'Famous People': 'famous-people'
+};
+
+// Same hash as the game (browser scripts, so evaluate them together)
+const Utils = vm.runInNewContext(
+  ['day-clock.js', 'utils.js']
+    .map(file => fs.readFileSync(path.join(__dirname, '..', 'js', file), 'utf-8'))
+    .join('\n') + '\nUtils;',
+  { module: undefined }
+);
+
+const normalize = w => w.toUpperCase().replace(/[\s-]/g, '');
+
+function loadJson(filePath, fallback) {
+  if (!fs.existsSync(filePath)) return fallback;
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+function main() {
+  console.log('\n📚 Building category word lists...\n');
+
+  const daily = loadJson(DAILY_PATH, []);
+  const supplementary = loadJson(SUPPLEMENTARY_PATH, {});
+
+  if (!fs.existsSync(OUTPUT_DIR)) {
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+  }
+
+  for (const [category, basename] of Object.entries(CATEGORY_FILES)) {
+    const words = new Set();
+
+    // Puzzle answers (daily + quick play)
+    const puzzles = loadJson(path.join(DATA_DIR, `${basename}.json`), []);
+    [...daily.filter(p => p.category === category), ...puzzles]
+      .forEach(p => words.add(normalize(p.word)));
+    const fromPuzzles = words.size;
+
+    // Supplementary answers
+    (supplementary[category] || []).forEach(w => words.add(normalize(w)));
+
+    const hashes = Array.from(words, w => Utils.hashString(w)).sort();
+    fs.writeFileSync(
+      path.join(OUTPUT_DIR, `${basename}.json`),
+      JSON.stringify(hashes) + '\n',
+      'utf-8'
+    );
+
+    console.log(`   ${category}: ${hashes.length} words (${fromPuzzles} from puzzles, ${hashes.length - fromPuzzles} supplementary)`);
+  }
+
+  console.log(`\n✅ Word lists written to data/categories/\n`);
+}
+
+main();
@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+/**
+ * Estimate Difficulty Script
+ *
+ * Rates puzzles easy / medium / hard (Utils.DIFFICULTIES) for the optional
+ * `difficulty` field that Quick Play can filter on.
+ *
+ * The estimate mixes:
+ * - Word length: longer answers are harder to pin down
+ * - Letter rarity: answers built from uncommon letters (J, Q, X, Z...) are
+ *   harder to guess than ones made of E, T, A...
+ * - Solve rates from Reddit, when given: how often players gave up. Exported
+ *   by the "Export CluesWord Solve Rates" moderator menu item (see
+ *   reddit/src/main.tsx) as { "<puzzle id>": { "solves": N, "giveUps": N } }.
+ *   Puzzles with few plays lean on the word estimate; with enough plays the
+ *   real give-up rate takes over.
+ *
+ * Usage: node scripts/estimate-difficulty.cjs [--stats FILE] [--write] [--force]
+ *
+ * Options:
+ *   --stats FILE  Solve rates exported from Reddit
+ *   --write       Save ratings into data/daily.json and data/{category}.json
+ *   --force       Also replace ratings already in the data (hand-set ones too)
+ *
+ * Without --write it only reports. Puzzles that already have a difficulty
+ * keep it unless --force is given.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const DATA_DIR = path.join(ROOT, 'data');
+
+// Same difficulty values as the game (browser scripts, so evaluate them)
+const Utils = vm.runInNewContext(
+  ['day-clock.js', 'utils.js']
+    .map(file => fs.readFileSync(path.join(ROOT, 'js', file), 'utf-8'))
+    .join('\n') + '\nUtils;',
+  { module: undefined }
+);
+
+const PUZZLE_FILES = ['daily', 'countries', 'cities', 'animals', 'movies', 'famous-people'];
+
+// Share of English text per letter (%)
+const LETTER_FREQUENCY = {
+  E: 12.7, T: 9.1, A: 8.2, O: 7.5, I: 7.0, N: 6.7, S: 6.3, H: 6.1, R: 6.0,
+  D: 4.3, L: 4.0, C: 2.8, U: 2.8, M: 2.4, W: 2.4, F: 2.2, G: 2.0, Y: 2.0,
+  P: 1.9, B: 1.5, V: 1.0, K: 0.8, J: 0.15, X: 0.15, Q: 0.10, Z: 0.07
+};
+
+// Word length scale: SHORT letters or fewer scores 0, LONG or more scores 1
+const LENGTH_RANGE = { SHORT: 4, LONG: 12 };
+
+// Average letter surprise (-log2 of its share) scale: all-common to very rare
+const RARITY_RANGE = { COMMON: 3.5, RARE: 6 };
+
+// Plays before solve rates count at all, and before they count fully
+const STATS_MIN_PLAYS = 10;
+const STATS_FULL_PLAYS = 50;
+
+// Estimates below EASY are easy, below MEDIUM medium, the rest hard
+const THRESHOLDS = { EASY: 0.35, MEDIUM: 0.55 };
+
+function parseArgs(argv) {
+  const args = { stats: null, write: false, force: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--stats') args.stats = argv[++i];
+    else if (argv[i] === '--write') args.write = true;
+    else if (argv[i] === '--force') args.force = true;
+  }
+  if (args.stats === undefined) {
+    console.log('Usage: node scripts/estimate-difficulty.cjs [--stats FILE] [--write] [--force]');
+    process.exit(1);
+  }
+  return args;
+}
+
+function clamp01(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+/**
+ * Score from the answer alone, 0 (easy) to 1 (hard)
+ */
+function scoreWord(word) {
+  const letters = word.toUpperCase().replace(/[^A-Z]/g, '').split('');
+  if (letters.length === 0) return 0;
+
+  const length = clamp01((letters.length - LENGTH_RANGE.SHORT) / (LENGTH_RANGE.LONG - LENGTH_RANGE.SHORT));
+  const surprise = letters.reduce((total, letter) => total - Math.log2(LETTER_FREQUENCY[letter] / 100), 0) / letters.length;
+  const rarity = clamp01((surprise - RARITY_RANGE.COMMON) / (RARITY_RANGE.RARE - RARITY_RANGE.COMMON));
+
+  return (length + rarity) / 2;
+}
+
+/**
+ * Blend in the give-up rate, weighted by how many plays it's based on
+ */
+function applyStats(score, stats) {
+  if (!stats) return score;
+  const plays = (stats.solves || 0) + (stats.giveUps || 0);
+  if (plays < STATS_MIN_PLAYS) return score;
+
+  const weight = Math.min(1, plays / STATS_FULL_PLAYS);
+  return (1 - weight) * score + weight * ((stats.giveUps || 0) / plays);
+}
+
+function toDifficulty(score) {
+  const [easy, medium, hard] = Utils.DIFFICULTIES;
+  if (score < THRESHOLDS.EASY) return easy;
+  if (score < THRESHOLDS.MEDIUM) return medium;
+  return hard;
+}
+
+/**
+ * Copy of a puzzle with its difficulty set, placed after `category`
+ */
+function withDifficulty(puzzle, difficulty) {
+  const rated = {};
+  Object.entries(puzzle).forEach(([key, value]) => {
+    if (key === 'difficulty') return;
+    rated[key] = value;
+    if (key === 'category') rated.difficulty = difficulty;
+  });
+  return rated;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const solveRates = args.stats ? JSON.parse(fs.readFileSync(args.stats, 'utf-8')) : {};
+
+  console.log(`\n📈 Estimating puzzle difficulty${args.stats ? ` (solve rates from ${args.stats})` : ''}...\n`);
+
+  let changed = 0;
+  for (const basename of PUZZLE_FILES) {
+    const filePath = path.join(DATA_DIR, `${basename}.json`);
+    if (!fs.existsSync(filePath)) continue;
+
+    const puzzles = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    const counts = Object.fromEntries(Utils.DIFFICULTIES.map(difficulty => [difficulty, 0]));
+    const changes = [];
+
+    const rated = puzzles.map(puzzle => {
+      const estimate = toDifficulty(applyStats(scoreWord(puzzle.word), solveRates[puzzle.id]));
+      const keep = puzzle.difficulty && !args.force;
+      const difficulty = keep ? puzzle.difficulty : estimate;
+      counts[difficulty] = (counts[difficulty] || 0) + 1;
+
+      if (difficulty !== puzzle.difficulty) {
+        changes.push(`${puzzle.id} ${puzzle.word}: ${puzzle.difficulty || '(none)'} → ${difficulty}`);
+        return withDifficulty(puzzle, difficulty);
+      }
+      return puzzle;
+    });
+
+    console.log(`   ${basename}.json: ${Object.entries(counts).map(([difficulty, count]) => `${count} ${difficulty}`).join(', ')}`);
+    changes.slice(0, 5).forEach(change => console.log(`      ${change}`));
+    if (changes.length > 5) console.log(`      ...and ${changes.length - 5} more`);
+    changed += changes.length;
+
+    if (args.write && changes.length > 0) {
+      fs.writeFileSync(filePath, JSON.stringify(rated, null, 2) + '\n', 'utf-8');
+    }
+  }
+
+  if (!args.write) {
+    console.log(`\n🔍 ${changed} rating(s) would change — run with --write to save them.\n`);
+    return;
+  }
+
+  console.log(`\n✅ Saved ${changed} rating(s)`);
+  console.log('   Then run: npm run build-puzzle-data && npm run validate-puzzles\n');
+}
+
+main();
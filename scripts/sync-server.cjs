@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+/**
+ * Sync Server (mock)
+ *
+ * Stand-in for a real progress sync service, for trying out transfer codes
+ * locally (see js/sync.js). Uploaded export files are kept in a local JSON
+ * file so codes survive restarts, and expire after --ttl minutes.
+ *
+ * Usage: node scripts/sync-server.cjs [--port N] [--file PATH] [--ttl MINUTES]
+ *
+ * Options:
+ *   --port N        Port to listen on (default 8787)
+ *   --file PATH     Where codes are stored (default .sync-store.json)
+ *   --ttl MINUTES   How long a code stays valid (default 15)
+ *
+ * Endpoints:
+ *   PUT /sync/<CODE>   Store an export file  → { expiresAt }
+ *   GET /sync/<CODE>   Fetch it again        → { file }
+ * Errors come back as { error } with a 4xx status.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const DEFAULT_PORT = 8787;
+const DEFAULT_TTL_MINUTES = 15;
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Same alphabet and length as Sync.createCode
+const CODE_PATTERN = /^[ABCDEFGHJKMNPQRSTUVWXYZ23456789]{6}$/;
+
+function parseArgs(argv) {
+  const args = { port: DEFAULT_PORT, file: path.join(ROOT, '.sync-store.json'), ttl: DEFAULT_TTL_MINUTES };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') args.port = parseInt(argv[++i], 10);
+    else if (argv[i] === '--file') args.file = path.resolve(argv[++i]);
+    else if (argv[i] === '--ttl') args.ttl = parseInt(argv[++i], 10);
+  }
+  if (Number.isNaN(args.port) || Number.isNaN(args.ttl) || args.ttl <= 0) {
+    console.log('Usage: node scripts/sync-server.cjs [--port N] [--file PATH] [--ttl MINUTES]');
+    process.exit(1);
+  }
+  return args;
+}
+
+/**
+ * Load stored codes, dropping expired ones
+ * Store: { CODE: { file, expiresAt } }
+ */
+function loadStore(storePath) {
+  let store = {};
+  if (fs.existsSync(storePath)) {
+    try {
+      store = JSON.parse(fs.readFileSync(storePath, 'utf-8'));
+    } catch (e) {
+      console.log(`⚠️  ${storePath} is unreadable, starting empty`);
+    }
+  }
+
+  const now = new Date().toISOString();
+  Object.keys(store).forEach(code => {
+    if (store[code].expiresAt <= now) delete store[code];
+  });
+  return store;
+}
+
+function saveStore(storePath, store) {
+  fs.writeFileSync(storePath, JSON.stringify(store, null, 2) + '\n', 'utf-8');
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    // The game runs on another port (Vite), so allow cross-origin calls
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  res.end(body === null ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new Error('too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+async function handleRequest(req, res, args) {
+  if (req.method === 'OPTIONS') return send(res, 204, null);
+
+  const match = req.url.match(/^\/sync\/([^/?]+)/);
+  if (!match) return send(res, 404, { error: 'Not found' });
+
+  const code = decodeURIComponent(match[1]).toUpperCase();
+  if (!CODE_PATTERN.test(code)) return send(res, 400, { error: 'Not a valid transfer code' });
+
+  const store = loadStore(args.file);
+
+  if (req.method === 'GET') {
+    if (!store[code]) return send(res, 404, { error: 'That code has expired or does not exist' });
+    console.log(`📥 ${code} downloaded`);
+    return send(res, 200, { file: store[code].file });
+  }
+
+  if (req.method === 'PUT') {
+    if (store[code]) return send(res, 409, { error: 'That code is already in use' });
+
+    let file;
+    try {
+      file = JSON.parse(await readBody(req));
+    } catch (e) {
+      return send(res, e.message === 'too large' ? 413 : 400, { error: 'Could not read the upload' });
+    }
+
+    const expiresAt = new Date(Date.now() + args.ttl * 60 * 1000).toISOString();
+    store[code] = { file, expiresAt };
+    saveStore(args.file, store);
+    console.log(`📤 ${code} stored until ${expiresAt}`);
+    return send(res, 200, { expiresAt });
+  }
+
+  return send(res, 405, { error: 'Method not allowed' });
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res, args).catch(e => {
+      console.error(e);
+      send(res, 500, { error: 'Server error' });
+    });
+  });
+
+  server.listen(args.port, () => {
+    console.log(`\n🔄 Mock sync server on http://localhost:${args.port}/sync`);
+    console.log(`   Codes stored in ${path.relative(ROOT, args.file) || args.file}, valid for ${args.ttl} minutes\n`);
+  });
+}
+
+main();
@@ -8,19 +8,39 @@
  * Checks:
  * - JSON syntax
  * - Required fields (id, category, word, clues, factoid)
- * - Clue count (must have exactly 3)
+ * - Clue count (Utils.MIN_CLUES to Utils.MAX_CLUES, i.e. 2–6)
+ * - Difficulty, if given, is one of Utils.DIFFICULTIES
  * - Duplicate words (across all files)
  * - Duplicate IDs (across all files)
+ * - Word lists (data/categories/) include every puzzle answer
+ * - Encoded data (data/encoded/, one file per scheduled day, then
+ *   ROTATION_DAYS from the rotation, and rotation.json) matches the sources
+ * - Schedule (data/schedule.json): no missing days, known puzzle ids,
+ *   no repeats within the repeat window, runs past today
  * - Provides counts per category
  */
 
 const fs = require('fs');
 const path = require('path');
+const vm = require('vm');
+
+// Same clock, clue limits and answer codec as the game (browser scripts, so evaluate them)
+const { DayClock, Utils, AnswerCodec } = vm.runInNewContext(
+  ['day-clock.js', 'utils.js', 'answer-codec.js']
+    .map(file => fs.readFileSync(path.join(__dirname, '..', 'js', file), 'utf-8'))
+    .join('\n') + '\n({ DayClock, Utils, AnswerCodec });',
+  { module: undefined }
+);
 
 const DATA_DIR = path.join(__dirname, '..', 'data');
 const DAILY_PATH = path.join(DATA_DIR, 'daily.json');
+const WORD_LISTS_DIR = path.join(DATA_DIR, 'categories');
+const ENCODED_DIR = path.join(DATA_DIR, 'encoded');
+const ENCODED_DAYS_DIR = path.join(ENCODED_DIR, 'days');
+const SCHEDULE_PATH = path.join(DATA_DIR, 'schedule.json');
+const SCHEDULE_MIN_DAYS_AHEAD = 7;
+const ROTATION_DAYS = 365; // Same as scripts/build-puzzle-data.cjs
 const REQUIRED_FIELDS = ['id', 'category', 'word', 'clues', 'factoid'];
-const REQUIRED_CLUES = 3;
 
 // Category files to validate (basename without .json)
 const CATEGORY_FILES = {
@@ -53,8 +73,14 @@ function validatePuzzle(puzzle, source) {
     }
   }
 
-  if (puzzle.clues && puzzle.clues.length !== REQUIRED_CLUES) {
-    error(`${source}: Puzzle '${puzzle.id}' has ${puzzle.clues.length} clues (expected ${REQUIRED_CLUES})`);
+  if (puzzle.clues && !Array.isArray(puzzle.clues)) {
+    error(`${source}: Puzzle '${puzzle.id}' clues must be an array`);
+  } else if (puzzle.clues && (puzzle.clues.length < Utils.MIN_CLUES || puzzle.clues.length > Utils.MAX_CLUES)) {
+    error(`${source}: Puzzle '${puzzle.id}' has ${puzzle.clues.length} clues (expected ${Utils.MIN_CLUES}-${Utils.MAX_CLUES})`);
+  }
+
+  if (puzzle.difficulty !== undefined && !Utils.DIFFICULTIES.includes(puzzle.difficulty)) {
+    error(`${source}: Puzzle '${puzzle.id}' has difficulty '${puzzle.difficulty}' (expected ${Utils.DIFFICULTIES.join(', ')})`);
   }
 
   if (puzzle.word && puzzle.word.trim() === '') {
@@ -182,6 +208,18 @@ function main() {
     success('No duplicates found');
   }
 
+  // --- Word lists ---
+  console.log('\n\uD83D\uDCDA Checking word lists...');
+  checkWordLists(daily);
+
+  // --- Encoded data ---
+  console.log('\n\uD83D\uDD12 Checking encoded data...');
+  checkEncodedData(daily);
+
+  // --- Schedule ---
+  console.log('\n\uD83D\uDDD3\uFE0F  Checking daily schedule...');
+  checkSchedule(daily);
+
   // --- Summary ---
   console.log('\n\uD83D\uDCCA Summary:');
   console.log(`   Daily puzzles:      ${daily.length}`);
@@ -210,6 +248,157 @@ function main() {
   printResults();
 }
 
+function checkWordLists(daily) {
+  const normalize = w => w.toUpperCase().replace(/[\s-]/g, '');
+  let missingCount = 0;
+
+  for (const [category, basename] of Object.entries(CATEGORY_FILES)) {
+    const listPath = path.join(WORD_LISTS_DIR, `${basename}.json`);
+    if (!fs.existsSync(listPath)) {
+      warn(`No word list for ${category} (run: npm run build-word-lists)`);
+      continue;
+    }
+
+    const list = new Set(JSON.parse(fs.readFileSync(listPath, 'utf-8')));
+    const puzzlePath = path.join(DATA_DIR, `${basename}.json`);
+    const puzzles = fs.existsSync(puzzlePath) ? JSON.parse(fs.readFileSync(puzzlePath, 'utf-8')) : [];
+    const missing = [...daily.filter(p => p.category === category), ...puzzles]
+      .filter(p => p.word && !list.has(Utils.hashString(normalize(p.word))));
+
+    if (missing.length > 0) {
+      missingCount += missing.length;
+      warn(`${category} word list is missing ${missing.length} answer(s), e.g. '${missing[0].word}' (run: npm run build-word-lists)`);
+    }
+  }
+
+  if (missingCount === 0) {
+    success('Word lists include every answer');
+  }
+}
+
+function checkEncodedData(daily) {
+  let staleCount = 0;
+  const stale = (file, reason) => {
+    error(`encoded/${file}: ${reason} (run: npm run build-puzzle-data)`);
+    staleCount++;
+  };
+
+  for (const basename of Object.values(CATEGORY_FILES)) {
+    const sourcePath = path.join(DATA_DIR, `${basename}.json`);
+    const encodedPath = path.join(ENCODED_DIR, `${basename}.json`);
+    if (!fs.existsSync(sourcePath)) continue;
+    if (!fs.existsSync(encodedPath)) {
+      stale(`${basename}.json`, 'Missing');
+      continue;
+    }
+
+    const sources = JSON.parse(fs.readFileSync(sourcePath, 'utf-8'));
+    const expected = JSON.stringify(sources.map(p => AnswerCodec.encodePuzzle(p)), null, 2);
+    if (fs.readFileSync(encodedPath, 'utf-8').trim() !== expected) {
+      stale(`${basename}.json`, `Out of date with ${basename}.json`);
+    }
+  }
+
+  // The rotation that follows the schedule, in daily.json order
+  const rotationPath = path.join(ENCODED_DIR, 'rotation.json');
+  if (!fs.existsSync(rotationPath)) {
+    stale('rotation.json', 'Missing');
+  } else if (fs.readFileSync(rotationPath, 'utf-8').trim() !== JSON.stringify(daily.map(p => p.id), null, 2)) {
+    stale('rotation.json', 'Out of date with daily.json');
+  }
+
+  // One file per scheduled day, then ROTATION_DAYS rotation days, and nothing else
+  const days = fs.existsSync(SCHEDULE_PATH) ? { ...JSON.parse(fs.readFileSync(SCHEDULE_PATH, 'utf-8')).days } : {};
+  const lastScheduled = Object.keys(days).sort().pop();
+  if (lastScheduled && daily.length > 0) {
+    for (let i = 1; i <= ROTATION_DAYS; i++) {
+      const date = DayClock.addDays(lastScheduled, i);
+      days[date] = daily[DayClock.getPuzzleIndexForKey(daily.length, date)].id;
+    }
+  }
+  const dayFiles = new Set(fs.existsSync(ENCODED_DAYS_DIR) ? fs.readdirSync(ENCODED_DAYS_DIR) : []);
+  Object.entries(days).forEach(([date, id]) => {
+    const file = `${date}.json`;
+    const puzzle = daily.find(p => p.id === id);
+    dayFiles.delete(file);
+    if (!puzzle) return; // Reported by the schedule check
+    const dayPath = path.join(ENCODED_DAYS_DIR, file);
+    if (!fs.existsSync(dayPath)) {
+      stale(`days/${file}`, 'Missing');
+    } else if (fs.readFileSync(dayPath, 'utf-8').trim() !== JSON.stringify(AnswerCodec.encodePuzzle(puzzle), null, 2)) {
+      stale(`days/${file}`, `Out of date with ${id}`);
+    }
+  });
+  dayFiles.forEach(file => stale(`days/${file}`, 'Not in the schedule or rotation'));
+
+  if (staleCount === 0) {
+    success('Encoded data matches the sources');
+  }
+}
+
+function checkSchedule(daily) {
+  if (!fs.existsSync(SCHEDULE_PATH)) {
+    warn('No daily schedule, falling back to rotation (run: npm run build-schedule)');
+    return;
+  }
+
+  let schedule;
+  try {
+    schedule = JSON.parse(fs.readFileSync(SCHEDULE_PATH, 'utf-8'));
+  } catch (e) {
+    error(`schedule.json: JSON parse error: ${e.message}`);
+    return;
+  }
+
+  const errorCount = errors.length;
+  const dailyIds = new Set(daily.map(p => p.id));
+  const windowDays = schedule.repeatWindowDays || 0;
+  const legacyUntil = schedule.legacyUntil || '';
+  const dates = Object.keys(schedule.days || {}).sort();
+
+  if (dates.length === 0) {
+    error('schedule.json: No scheduled days');
+    return;
+  }
+
+  if (dates[0] !== DayClock.LAUNCH_DAY) {
+    error(`schedule.json: Starts on ${dates[0]} (expected launch day ${DayClock.LAUNCH_DAY})`);
+  }
+
+  const lastSeen = new Map();
+  dates.forEach((date, i) => {
+    const id = schedule.days[date];
+
+    if (i > 0 && DayClock.daysBetween(dates[i - 1], date) !== 1) {
+      error(`schedule.json: Missing day(s) between ${dates[i - 1]} and ${date}`);
+    }
+
+    if (!dailyIds.has(id)) {
+      error(`schedule.json: ${date} uses unknown puzzle '${id}'`);
+    }
+
+    // Days from the old modulo rotation are exempt from the window
+    const previous = lastSeen.get(id);
+    if (previous && date > legacyUntil && DayClock.daysBetween(previous, date) <= windowDays) {
+      error(`schedule.json: '${id}' repeats on ${date}, only ${DayClock.daysBetween(previous, date)} days after ${previous} (window: ${windowDays})`);
+    }
+    lastSeen.set(id, date);
+  });
+
+  const lastDate = dates[dates.length - 1];
+  const daysAhead = DayClock.daysBetween(DayClock.getDayKey(), lastDate);
+  if (daysAhead < 0) {
+    error(`schedule.json: Ended on ${lastDate}, today has no puzzle (run: npm run build-schedule)`);
+  } else if (daysAhead < SCHEDULE_MIN_DAYS_AHEAD) {
+    warn(`Schedule ends on ${lastDate}, only ${daysAhead} day(s) from now (run: npm run build-schedule)`);
+  }
+
+  const unscheduled = daily.filter(p => !lastSeen.has(p.id)).length;
+  if (errors.length === errorCount) {
+    success(`Schedule covers ${dates.length} days through ${lastDate} (${unscheduled} puzzle(s) not yet scheduled)`);
+  }
+}
+
 function printResults() {
   if (warnings.length > 0) {
     console.log('\n\u26A0\uFE0F  Warnings:');
@@ -0,0 +1,121 @@
+/**
+ * CluesWord - Service Worker
+ * Makes the web game installable and playable offline
+ *
+ * The app shell, CSS, JS and puzzle data are precached in a cache named after
+ * Utils.APP_VERSION, so bumping the version ships a fresh cache. A new version
+ * waits until the player accepts the "update available" prompt (js/pwa.js),
+ * so one page never mixes files from two versions.
+ */
+
+importScripts('js/day-clock.js', 'js/utils.js');
+
+const CACHE_PREFIX = 'cluesword-';
+const CACHE_NAME = `${CACHE_PREFIX}${Utils.APP_VERSION}`;
+
+// Keep in step with the <link>/<script> tags in index.html
+const APP_SHELL = [
+  'index.html',
+  'manifest.webmanifest',
+  'assets/icon.svg',
+  'assets/icon-192.png',
+  'assets/icon-512.png',
+  'assets/icon-maskable-512.png',
+  'assets/apple-touch-icon.png',
+  'css/styles.css',
+  'css/game-board.css',
+  'css/modals.css',
+  'css/responsive.css',
+  'js/day-clock.js',
+  'js/utils.js',
+  'js/answer-codec.js',
+  'js/storage-schema.js',
+  'js/storage-manager.js',
+  'js/player-data.js',
+  'js/sync.js',
+  'js/word-list.js',
+  'js/puzzle-picker.js',
+  'js/custom-puzzle.js',
+  'js/challenge.js',
+  'js/game-state.js',
+  'js/share-card.js',
+  'js/ui-controller.js',
+  'js/analytics.js',
+  'js/pwa.js',
+  'js/app.js'
+];
+
+// Keep in step with CATEGORY_FILES in js/app.js
+const CATEGORY_FILES = ['countries', 'cities', 'animals', 'movies', 'famous-people'];
+
+// Daily puzzles are one file per day (data/encoded/days/), cached as they're
+// played below; future days can't be precached
+const DATA_FILES = [
+  'data/schedule.json',
+  'data/encoded/rotation.json',
+  ...CATEGORY_FILES.map(name => `data/encoded/${name}.json`),
+  ...CATEGORY_FILES.map(name => `data/categories/${name}.json`)
+];
+
+// Pages request files with ?v=<version>; cached copies match whatever the query
+const MATCH_OPTIONS = { ignoreSearch: true };
+
+self.addEventListener('install', (event) => {
+  // Bypass the HTTP cache (static files are cached for a year) so the new
+  // version's files are what gets precached
+  const requests = [...APP_SHELL, ...DATA_FILES].map(url => new Request(url, { cache: 'reload' }));
+  event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(requests)));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Sent by js/pwa.js when the player accepts the update
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  // Every page is the single-page app (see the redirect in netlify.toml)
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      caches.match('index.html', MATCH_OPTIONS).then(cached => cached || fetch(request))
+    );
+    return;
+  }
+
+  // Puzzle data: answer from the cache, then refresh it for next time so
+  // schedule days and puzzles added without a version bump still arrive
+  if (url.pathname.includes('/data/')) {
+    event.respondWith(
+      caches.open(CACHE_NAME).then(cache => cache.match(request, MATCH_OPTIONS).then(cached => {
+        const network = fetch(request).then(response => {
+          if (response.ok) cache.put(request, response.clone());
+          return response;
+        });
+        if (!cached) return network;
+        network.catch(() => {}); // Offline: the cached copy is all there is
+        return cached;
+      }))
+    );
+    return;
+  }
+
+  // App shell: only changes with the version
+  event.respondWith(
+    caches.match(request, MATCH_OPTIONS).then(cached => cached || fetch(request))
+  );
+});
@@ -0,0 +1,26 @@
+/**
+ * Cache busting: index.html asks for the version Utils.APP_VERSION names
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadScripts } = require('./load-scripts.cjs');
+
+const { Utils } = loadScripts(['day-clock.js', 'utils.js'], ['Utils']);
+
+test('every ?v= in index.html is Utils.APP_VERSION', () => {
+  const html = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf-8');
+  const versions = [...html.matchAll(/(?:href|src)="(?:css|js)\/[^"?]+\?v=([^"]+)"/g)].map(match => match[1]);
+  assert.ok(versions.length > 0);
+  assert.deepEqual([...new Set(versions)], [Utils.APP_VERSION]);
+});
+
+test('every local script and stylesheet in index.html has a ?v=', () => {
+  const html = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf-8');
+  const unversioned = [...html.matchAll(/(?:href|src)="((?:css|js)\/[^"]+)"/g)]
+    .map(match => match[1])
+    .filter(url => !url.includes('?v='));
+  assert.deepEqual(unversioned, []);
+});
@@ -0,0 +1,123 @@
+/**
+ * DayClock: which puzzle day it is, under both rollover policies
+ *
+ * Local-policy tests run in America/New_York, whose clocks go forward on
+ * 2026-03-08 (a 23-hour day) and back on 2026-11-01 (a 25-hour day).
+ */
+
+process.env.TZ = 'America/New_York';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts.cjs');
+
+const { DayClock } = loadScripts(['day-clock.js'], ['DayClock']);
+const { UTC, LOCAL } = DayClock.ROLLOVER;
+
+test('getDayKey: UTC days start at 00:00 UTC wherever the player is', () => {
+  // 19:30 on March 7 in New York is already March 8 in UTC
+  assert.equal(DayClock.getDayKey(new Date('2026-03-08T00:30:00Z'), UTC), '2026-03-08');
+  assert.equal(DayClock.getDayKey(new Date('2026-03-08T00:30:00Z'), LOCAL), '2026-03-07');
+  assert.equal(DayClock.getDayKey(new Date('2026-03-07T23:59:59Z'), UTC), '2026-03-07');
+});
+
+test('getDayKey: local days around the spring-forward gap', () => {
+  // 01:59 EST, then the clock jumps from 02:00 to 03:00 EDT
+  assert.equal(DayClock.getDayKey(new Date('2026-03-08T06:59:00Z'), LOCAL), '2026-03-08');
+  assert.equal(DayClock.getDayKey(new Date('2026-03-08T07:00:00Z'), LOCAL), '2026-03-08');
+  // 23:59 EDT is still March 8 locally, March 9 in UTC
+  assert.equal(DayClock.getDayKey(new Date('2026-03-09T03:59:00Z'), LOCAL), '2026-03-08');
+  assert.equal(DayClock.getDayKey(new Date('2026-03-09T04:00:00Z'), LOCAL), '2026-03-09');
+});
+
+test('getDayKey: local days around the fall-back repeat', () => {
+  // 01:30 happens twice on November 1; both are the same day
+  assert.equal(DayClock.getDayKey(new Date('2026-11-01T05:30:00Z'), LOCAL), '2026-11-01');
+  assert.equal(DayClock.getDayKey(new Date('2026-11-01T06:30:00Z'), LOCAL), '2026-11-01');
+  // 23:59 EST on November 1, then midnight
+  assert.equal(DayClock.getDayKey(new Date('2026-11-02T04:59:00Z'), LOCAL), '2026-11-01');
+  assert.equal(DayClock.getDayKey(new Date('2026-11-02T05:00:00Z'), LOCAL), '2026-11-02');
+});
+
+test('getNextRollover: next UTC midnight', () => {
+  assert.equal(DayClock.getNextRollover(new Date('2026-03-08T12:00:00Z'), UTC).toISOString(), '2026-03-09T00:00:00.000Z');
+  assert.equal(DayClock.getNextRollover(new Date('2026-12-31T23:59:59Z'), UTC).toISOString(), '2027-01-01T00:00:00.000Z');
+});
+
+test('getNextRollover: next local midnight across DST changes', () => {
+  // Spring forward: midnight EDT is 04:00 UTC, 23 hours after the day began
+  const spring = DayClock.getNextRollover(new Date('2026-03-08T16:00:00Z'), LOCAL);
+  assert.equal(spring.toISOString(), '2026-03-09T04:00:00.000Z');
+  assert.equal(spring - new Date('2026-03-08T05:00:00Z'), 23 * 60 * 60 * 1000);
+
+  // Fall back: midnight EST is 05:00 UTC, 25 hours after the day began
+  const fall = DayClock.getNextRollover(new Date('2026-11-01T16:00:00Z'), LOCAL);
+  assert.equal(fall.toISOString(), '2026-11-02T05:00:00.000Z');
+  assert.equal(fall - new Date('2026-11-01T04:00:00Z'), 25 * 60 * 60 * 1000);
+
+  // Right before the gap, the next rollover is still that night
+  assert.equal(DayClock.getNextRollover(new Date('2026-03-08T06:59:00Z'), LOCAL).toISOString(), '2026-03-09T04:00:00.000Z');
+});
+
+test('addDays: calendar days, across months, years, leap days and DST', () => {
+  assert.equal(DayClock.addDays('2026-03-07', 1), '2026-03-08');
+  assert.equal(DayClock.addDays('2026-03-08', 1), '2026-03-09');
+  assert.equal(DayClock.addDays('2026-11-01', 1), '2026-11-02');
+  assert.equal(DayClock.addDays('2026-03-01', -1), '2026-02-28');
+  assert.equal(DayClock.addDays('2028-02-28', 1), '2028-02-29');
+  assert.equal(DayClock.addDays('2026-12-31', 1), '2027-01-01');
+  assert.equal(DayClock.addDays('2026-02-04', 0), '2026-02-04');
+});
+
+test('daysBetween: signed whole days, unaffected by DST', () => {
+  assert.equal(DayClock.daysBetween('2026-03-07', '2026-03-09'), 2);
+  assert.equal(DayClock.daysBetween('2026-10-31', '2026-11-02'), 2);
+  assert.equal(DayClock.daysBetween('2026-03-09', '2026-03-07'), -2);
+  assert.equal(DayClock.daysBetween('2026-01-01', '2027-01-01'), 365);
+  assert.equal(DayClock.daysBetween('2028-01-01', '2029-01-01'), 366);
+});
+
+test('day numbers count from launch day', () => {
+  assert.equal(DayClock.getDayNumberForKey(DayClock.LAUNCH_DAY), 1);
+  assert.equal(DayClock.getDayKeyForNumber(1), DayClock.LAUNCH_DAY);
+  assert.equal(DayClock.getDayKeyForNumber(DayClock.getDayNumberForKey('2026-11-01')), '2026-11-01');
+  assert.equal(DayClock.getDayNumber(new Date('2026-02-04T12:00:00Z'), UTC), 1);
+});
+
+test('getPuzzleIndex: always in range, even before launch', () => {
+  const beforeLaunch = new Date('2026-02-01T12:00:00Z'); // 3 days early
+  assert.equal(DayClock.getDaysSinceLaunch(beforeLaunch, UTC), -3);
+  assert.equal(DayClock.getPuzzleIndex(10, beforeLaunch, UTC), 7);
+  assert.equal(DayClock.getPuzzleIndex(1, beforeLaunch, UTC), 0);
+
+  assert.equal(DayClock.getPuzzleIndex(10, new Date('2026-02-04T00:00:00Z'), UTC), 0);
+  assert.equal(DayClock.getPuzzleIndex(10, new Date('2026-02-14T00:00:00Z'), UTC), 0);
+
+  // Long before launch it still lands inside the list
+  const index = DayClock.getPuzzleIndex(7, new Date('2020-01-01T00:00:00Z'), UTC);
+  assert.ok(index >= 0 && index < 7);
+});
+
+test('getPuzzleIndexForKey: same index as getPuzzleIndex on that UTC day', () => {
+  for (const dayKey of ['2026-02-01', '2026-02-04', '2026-11-19', '2027-03-14']) {
+    assert.equal(
+      DayClock.getPuzzleIndexForKey(97, dayKey),
+      DayClock.getPuzzleIndex(97, new Date(`${dayKey}T23:30:00Z`), UTC)
+    );
+  }
+  assert.equal(DayClock.getPuzzleIndexForKey(10, '2026-02-14'), 0);
+});
+
+test('isToday / isYesterday across the spring-forward day', () => {
+  const morningAfter = new Date('2026-03-09T13:00:00Z'); // 09:00 EDT on March 9
+  assert.ok(DayClock.isToday('2026-03-09', morningAfter, LOCAL));
+  assert.ok(DayClock.isYesterday('2026-03-08', morningAfter, LOCAL));
+  assert.ok(!DayClock.isYesterday('2026-03-07', morningAfter, LOCAL));
+});
+
+test('setRollover refuses unknown policies', () => {
+  assert.throws(() => DayClock.setRollover('tomorrow'), /Unknown rollover policy/);
+  DayClock.setRollover(LOCAL);
+  assert.equal(DayClock.getRollover(), LOCAL);
+  DayClock.setRollover(UTC);
+});
@@ -0,0 +1,26 @@
+/**
+ * Load browser scripts (js/*.js) for tests
+ *
+ * The game's modules are plain scripts that declare globals (DayClock,
+ * Utils...), not modules, so they're evaluated in one shared context the way
+ * index.html loads them, in order. Returns the named globals.
+ *
+ * Usage: const { DayClock } = loadScripts(['day-clock.js'], ['DayClock']);
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const JS_DIR = path.join(__dirname, '..', 'js');
+
+function loadScripts(files, names, globals = {}) {
+  const context = vm.createContext({ console, ...globals });
+  files.forEach(file => {
+    const filename = path.join(JS_DIR, file);
+    vm.runInContext(fs.readFileSync(filename, 'utf-8'), context, { filename });
+  });
+  return vm.runInContext(`({ ${names.join(', ')} })`, context);
+}
+
+module.exports = { loadScripts };
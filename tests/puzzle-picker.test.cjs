@@ -0,0 +1,87 @@
+/**
+ * PuzzlePicker: Quick Play picks, with a seeded random source so runs repeat
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts.cjs');
+
+const { PuzzlePicker } = loadScripts(['puzzle-picker.js'], ['PuzzlePicker']);
+
+function makePool(category, count, difficulty = null) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: `${category}-${String(i + 1).padStart(3, '0')}`,
+    category,
+    ...(difficulty ? { difficulty } : {})
+  }));
+}
+
+test('createRandom: the same seed gives the same numbers, all in [0, 1)', () => {
+  const a = PuzzlePicker.createRandom(42);
+  const b = PuzzlePicker.createRandom(42);
+  const numbers = Array.from({ length: 100 }, () => a());
+  assert.deepEqual(numbers, Array.from({ length: 100 }, () => b()));
+  assert.ok(numbers.every(n => n >= 0 && n < 1));
+  assert.notDeepEqual(numbers.slice(0, 5), Array.from({ length: 5 }, PuzzlePicker.createRandom(43)));
+});
+
+test('pick: the same seed picks the same puzzles', () => {
+  const pools = { animals: makePool('animals', 20), movies: makePool('movies', 20) };
+  const picks = seed => {
+    const random = PuzzlePicker.createRandom(seed);
+    return Array.from({ length: 10 }, () => PuzzlePicker.pick(pools, [], { random }).id);
+  };
+  assert.deepEqual(picks(7), picks(7));
+});
+
+test('pick: categories come up evenly, whatever their size', () => {
+  const pools = { big: makePool('big', 190), small: makePool('small', 10) };
+  const random = PuzzlePicker.createRandom(1);
+  const counts = { big: 0, small: 0 };
+  for (let i = 0; i < 1000; i++) {
+    counts[PuzzlePicker.pick(pools, [], { random }).category] += 1;
+  }
+  assert.ok(counts.small > 400 && counts.small < 600, `small picked ${counts.small} times of 1000`);
+});
+
+test('pick: unplayed puzzles first, then the one played longest ago', () => {
+  const pools = { animals: makePool('animals', 3) };
+  const random = PuzzlePicker.createRandom(3);
+
+  const played = ['animals-001', 'animals-003'];
+  assert.equal(PuzzlePicker.pick(pools, played, { random }).id, 'animals-002');
+
+  const allPlayed = ['animals-002', 'animals-003', 'animals-001'];
+  assert.equal(PuzzlePicker.pick(pools, allPlayed, { random }).id, 'animals-002');
+});
+
+test('pick: categories with unplayed puzzles are preferred', () => {
+  const pools = { animals: makePool('animals', 2), movies: makePool('movies', 2) };
+  const played = ['animals-001', 'animals-002'];
+  const random = PuzzlePicker.createRandom(5);
+  for (let i = 0; i < 20; i++) {
+    assert.equal(PuzzlePicker.pick(pools, played, { random }).category, 'movies');
+  }
+});
+
+test('pick: exclude skips the puzzle just played unless it is the only one', () => {
+  const random = PuzzlePicker.createRandom(9);
+  const pools = { animals: makePool('animals', 2) };
+  for (let i = 0; i < 20; i++) {
+    assert.equal(PuzzlePicker.pick(pools, [], { exclude: 'animals-001', random }).id, 'animals-002');
+  }
+  assert.equal(PuzzlePicker.pick({ animals: makePool('animals', 1) }, [], { exclude: 'animals-001', random }).id, 'animals-001');
+});
+
+test('pick: difficulty narrows every category, null when nothing matches', () => {
+  const pools = {
+    animals: [...makePool('animals', 3, 'easy'), { id: 'animals-hard', category: 'animals', difficulty: 'hard' }],
+    movies: makePool('movies', 3, 'easy')
+  };
+  const random = PuzzlePicker.createRandom(11);
+  for (let i = 0; i < 20; i++) {
+    assert.equal(PuzzlePicker.pick(pools, [], { difficulty: 'hard', random }).id, 'animals-hard');
+  }
+  assert.equal(PuzzlePicker.pick(pools, [], { difficulty: 'medium', random }), null);
+  assert.equal(PuzzlePicker.pick({}, [], { random }), null);
+});
@@ -0,0 +1,73 @@
+/**
+ * ShareCard: the results text and the PNG card name the same puzzle
+ *
+ * The card is drawn on a stub canvas that records the text it's given.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts.cjs');
+
+const drawn = [];
+const context2d = new Proxy({}, {
+  get: (target, key) => (key === 'fillText' ? text => drawn.push(text) : target[key] || (() => {})),
+  set: (target, key, value) => { target[key] = value; return true; }
+});
+const document = {
+  createElement: () => ({ getContext: () => context2d, toBlob: callback => callback(null) })
+};
+
+const { ShareCard } = loadScripts(
+  ['day-clock.js', 'utils.js', 'answer-codec.js', 'game-state.js', 'share-card.js'],
+  ['ShareCard'],
+  { document }
+);
+
+const puzzle = {
+  id: 'daily-t3_abc123',
+  category: 'Animals',
+  word: 'ZEBRA',
+  clues: ['Stripes', 'Savanna', 'Horse cousin'],
+  factoid: 'No two have the same stripes.'
+};
+const state = {
+  guesses: ['HORSE', 'ZEBRA'],
+  hints: [],
+  cluesRevealed: 2,
+  hardMode: false,
+  timed: false,
+  status: 'won',
+  score: 80
+};
+
+async function drawCard(card) {
+  drawn.length = 0;
+  await ShareCard.toBlob(card);
+  return [...drawn];
+}
+
+test('days: the text and the card show the same day number', async () => {
+  for (const [id, dayNumber] of [['daily-t3_abc123', 258], ['daily-004', 31]]) {
+    const card = ShareCard.describe({ ...puzzle, id }, state, { dayNumber });
+    const text = ShareCard.getText(card);
+    assert.equal(text.split('\n')[0], `CluesWord #${dayNumber} 🧩`);
+    assert.ok((await drawCard(card)).includes(`Animals · Day #${dayNumber}`));
+  }
+});
+
+test('quick play: the text and the card use the puzzle\'s name', async () => {
+  const card = ShareCard.describe({ ...puzzle, id: 'animals-003' }, state);
+  assert.equal(ShareCard.getText(card).split('\n')[0], 'CluesWord Animals #3 🧩');
+  assert.ok((await drawCard(card)).includes('Animals #3'));
+});
+
+test('getText: stats line and grid', () => {
+  const card = ShareCard.describe(puzzle, state, { dayNumber: 12 });
+  assert.deepEqual(ShareCard.getText(card, { url: 'https://example.com/p/x' }).split('\n'), [
+    'CluesWord #12 🧩',
+    '📍2/3 🎯2 ⭐80',
+    '⬜⬜🟨⬜🟨',
+    '🟩🟩🟩🟩🟩',
+    'https://example.com/p/x'
+  ]);
+});
@@ -0,0 +1,138 @@
+/**
+ * StorageSchema.migrate: stored data from each older schema version is
+ * brought up to date, and migrating again changes nothing
+ *
+ * The store keeps JSON text, like localStorage, so values saved by old
+ * versions (Sets that became {}, combined stats) look the way they do there.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts.cjs');
+
+const { Utils, StorageSchema } = loadScripts(
+  ['day-clock.js', 'utils.js', 'storage-schema.js'],
+  ['Utils', 'StorageSchema']
+);
+const KEYS = Utils.STORAGE_KEYS;
+
+function createStore(values = {}) {
+  const data = new Map(Object.entries(values).map(([key, value]) => [key, JSON.stringify(value)]));
+  return {
+    data,
+    get: key => (data.has(key) ? JSON.parse(data.get(key)) : null),
+    set: (key, value) => { data.set(key, JSON.stringify(value)); },
+    remove: key => { data.delete(key); },
+    snapshot: () => Object.fromEntries(data)
+  };
+}
+
+// Saved by the first release: no schema version, Sets saved as {}, one stats object for every mode
+const VERSION_0 = {
+  [KEYS.DAILY_STATE]: {
+    puzzleId: 'daily-007',
+    date: '2026-03-01',
+    guesses: ['PARIS'],
+    cluesRevealed: 2,
+    correctPositions: {},
+    wrongPositionLetters: {},
+    status: 'in-progress',
+    score: 0
+  },
+  [KEYS.QUICKPLAY_STATE]: { guesses: ['OSLO'] }, // No puzzle id: unusable
+  [KEYS.STATS]: {
+    played: 12,
+    won: 10,
+    totalScore: 900,
+    currentStreak: 4,
+    maxStreak: 6,
+    lastPlayedDate: '2026-03-01'
+  }
+};
+
+test('from version 0: game states normalized, stats split by mode', () => {
+  const store = createStore(VERSION_0);
+  assert.deepEqual([...StorageSchema.migrate(store, 'web')], [1, 2]);
+  assert.equal(store.get(KEYS.SCHEMA_VERSION), StorageSchema.VERSION);
+
+  const daily = store.get(KEYS.DAILY_STATE);
+  assert.deepEqual(daily.guesses, ['PARIS']);
+  assert.deepEqual(daily.correctPositions, []);
+  assert.deepEqual(daily.wrongPositionLetters, []);
+  assert.deepEqual(daily.hints, []);
+  assert.equal(daily.cluesRevealed, 2);
+  assert.equal(daily.timed, false);
+
+  assert.equal(store.get(KEYS.QUICKPLAY_STATE), null);
+
+  assert.deepEqual(store.get(KEYS.STATS), {
+    modes: { daily: { played: 12, won: 10, totalScore: 900, lastPlayedDate: '2026-03-01' } },
+    streakBaseline: { length: 4, lastDate: '2026-03-01', maxStreak: 6 }
+  });
+});
+
+test('from version 0 on Reddit: stats stay combined', () => {
+  const store = createStore(VERSION_0);
+  assert.deepEqual([...StorageSchema.migrate(store, 'reddit')], [1, 2]);
+  assert.equal(store.get(KEYS.SCHEMA_VERSION), StorageSchema.VERSION);
+  assert.deepEqual(store.get(KEYS.STATS), VERSION_0[KEYS.STATS]);
+  assert.deepEqual(store.get(KEYS.DAILY_STATE).correctPositions, []);
+});
+
+test('from version 0 with nothing stored', () => {
+  const store = createStore();
+  assert.deepEqual([...StorageSchema.migrate(store, 'web')], [1, 2]);
+  assert.deepEqual(store.snapshot(), { [KEYS.SCHEMA_VERSION]: String(StorageSchema.VERSION) });
+});
+
+test('from version 1: only the stats split runs', () => {
+  const archive = { puzzleId: 'daily-002', guesses: 'AB', correctPositions: {} };
+  const store = createStore({
+    [KEYS.SCHEMA_VERSION]: 1,
+    [KEYS.ARCHIVE_STATE]: archive,
+    [KEYS.STATS]: { played: 3, won: 1, currentStreak: 0, maxStreak: 1, lastPlayedDate: null }
+  });
+  assert.deepEqual([...StorageSchema.migrate(store, 'web')], [2]);
+
+  // Migration 1 already ran for this player, so game states are left alone
+  assert.deepEqual(store.get(KEYS.ARCHIVE_STATE), archive);
+  assert.deepEqual(store.get(KEYS.STATS), {
+    modes: { daily: { played: 3, won: 1, lastPlayedDate: null } },
+    streakBaseline: { length: 0, lastDate: null, maxStreak: 1 }
+  });
+});
+
+test('migrating again changes nothing', () => {
+  const store = createStore(VERSION_0);
+  StorageSchema.migrate(store, 'web');
+  const migrated = store.snapshot();
+
+  assert.deepEqual([...StorageSchema.migrate(store, 'web')], []);
+  assert.deepEqual(store.snapshot(), migrated);
+
+  // Even if the version was lost, already migrated data comes through as it was
+  store.remove(KEYS.SCHEMA_VERSION);
+  assert.deepEqual([...StorageSchema.migrate(store, 'web')], [1, 2]);
+  assert.deepEqual(store.snapshot(), migrated);
+});
+
+test('a failed migration stops there and is retried next time', () => {
+  const store = createStore(VERSION_0);
+  const set = store.set;
+  store.set = (key, value) => {
+    if (key === KEYS.STATS) throw new Error('quota exceeded');
+    set(key, value);
+  };
+  const error = console.error;
+  console.error = () => {};
+  try {
+    assert.deepEqual([...StorageSchema.migrate(store, 'web')], [1]);
+  } finally {
+    console.error = error;
+  }
+  assert.equal(store.get(KEYS.SCHEMA_VERSION), 1);
+
+  store.set = set;
+  assert.deepEqual([...StorageSchema.migrate(store, 'web')], [2]);
+  assert.ok(store.get(KEYS.STATS).modes);
+});
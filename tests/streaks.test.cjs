@@ -0,0 +1,147 @@
+/**
+ * StorageManager.getStreakInfo: daily streaks and freezes, recomputed from
+ * the play history
+ *
+ * Days are counted back from today (UTC), so the history is built relative
+ * to it. A freeze is earned every Utils.STREAK_FREEZE.EARN_EVERY (7) wins.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts.cjs');
+
+const storage = new Map();
+const localStorage = {
+  getItem: key => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: key => storage.delete(key)
+};
+
+const { DayClock, Utils, StorageManager } = loadScripts(
+  ['day-clock.js', 'utils.js', 'storage-schema.js', 'storage-manager.js'],
+  ['DayClock', 'Utils', 'StorageManager'],
+  { localStorage }
+);
+
+const today = Utils.getDateString();
+const daysAgo = n => DayClock.addDays(today, -n);
+
+/**
+ * Start a fresh history: { daysAgo: 'won' | 'lost' }, oldest first
+ */
+function playDays(results, mode = 'daily') {
+  storage.clear();
+  Object.entries(results)
+    .sort(([a], [b]) => b - a)
+    .forEach(([ago, status]) => addGame(Number(ago), status, mode));
+}
+
+function addGame(ago, status, mode = 'daily') {
+  StorageManager.addHistoryEntry({
+    puzzleId: `daily-${ago}`,
+    mode,
+    date: daysAgo(ago),
+    category: 'Animals',
+    status,
+    guesses: ['ZEBRA'],
+    cluesRevealed: 1,
+    totalClues: 3,
+    hintsUsed: 0,
+    score: status === 'won' ? 100 : 0
+  });
+}
+
+// Wins on each of the days from `from` days ago to `to` days ago
+function wins(from, to) {
+  const results = {};
+  for (let ago = from; ago >= to; ago--) results[ago] = 'won';
+  return results;
+}
+
+test('no dailies played: no streak', () => {
+  storage.clear();
+  const info = StorageManager.getStreakInfo();
+  assert.equal(info.currentStreak, 0);
+  assert.equal(info.maxStreak, 0);
+  assert.equal(info.freezes, 0);
+  assert.deepEqual([...info.frozenDays], []);
+});
+
+test('consecutive days build the streak, and today unplayed keeps it', () => {
+  playDays(wins(4, 0));
+  let info = StorageManager.getStreakInfo();
+  assert.equal(info.currentStreak, 5);
+  assert.equal(info.maxStreak, 5);
+  assert.equal(info.freezeProgress, 5);
+
+  playDays(wins(4, 1));
+  info = StorageManager.getStreakInfo();
+  assert.equal(info.currentStreak, 4);
+  assert.equal(info.maxStreak, 4);
+});
+
+test('seven wins in a row earn a freeze', () => {
+  playDays(wins(6, 0));
+  const info = StorageManager.getStreakInfo();
+  assert.equal(info.currentStreak, 7);
+  assert.equal(info.freezes, 1);
+  assert.equal(info.freezeProgress, 0);
+});
+
+test('one missed day uses a freeze and the streak carries on', () => {
+  playDays({ ...wins(9, 3), 1: 'won', 0: 'won' });
+  const info = StorageManager.getStreakInfo();
+  assert.equal(info.currentStreak, 9);
+  assert.equal(info.maxStreak, 9);
+  assert.equal(info.freezes, 0);
+  assert.deepEqual([...info.frozenDays], [daysAgo(2)]);
+});
+
+test('one missed day without a freeze ends the streak', () => {
+  playDays({ ...wins(5, 3), 1: 'won', 0: 'won' });
+  const info = StorageManager.getStreakInfo();
+  assert.equal(info.currentStreak, 2);
+  assert.equal(info.maxStreak, 3);
+  assert.deepEqual([...info.frozenDays], []);
+});
+
+test('two missed days with one freeze end the streak', () => {
+  playDays({ ...wins(10, 4), 1: 'won', 0: 'won' });
+  const info = StorageManager.getStreakInfo();
+  assert.equal(info.currentStreak, 2);
+  assert.equal(info.maxStreak, 7);
+  assert.equal(info.freezes, 0);
+  assert.deepEqual([...info.frozenDays], [daysAgo(3)]);
+});
+
+test('giving up ends the streak even with a freeze held', () => {
+  playDays({ ...wins(9, 3), 2: 'lost', 1: 'won', 0: 'won' });
+  const info = StorageManager.getStreakInfo();
+  assert.equal(info.currentStreak, 2);
+  assert.equal(info.maxStreak, 7);
+  assert.equal(info.freezes, 1);
+  assert.equal(info.freezeProgress, 2);
+  assert.deepEqual([...info.frozenDays], []);
+});
+
+test('each day counts once: only the first daily result of a day', () => {
+  playDays(wins(2, 0));
+  addGame(1, 'won');
+  addGame(0, 'won');
+  let info = StorageManager.getStreakInfo();
+  assert.equal(info.currentStreak, 3);
+  assert.equal(info.freezeProgress, 3);
+
+  // A later give-up on a day already won doesn't undo it
+  addGame(1, 'lost');
+  info = StorageManager.getStreakInfo();
+  assert.equal(info.currentStreak, 3);
+});
+
+test('archive games never count toward the streak', () => {
+  playDays(wins(2, 1), 'archive');
+  addGame(0, 'won');
+  const info = StorageManager.getStreakInfo();
+  assert.equal(info.currentStreak, 1);
+  assert.equal(info.maxStreak, 1);
+});